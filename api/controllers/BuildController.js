@@ -9,6 +9,15 @@ function decodeb64 (str) {
   return new Buffer(str, 'base64').toString('utf8');
 }
 
+// External builders can't be stopped directly, so a cancelled build is
+// rejected when its builder sends its status or output, and the builder
+// stops without publishing it
+function cancelled(build, res) {
+  if (!build || build.state !== 'cancelled') return false;
+  res.status(410).send('This build was cancelled');
+  return true;
+}
+
 module.exports = {
 
   // Endpoint for status updates for builds by external builders
@@ -17,13 +26,114 @@ module.exports = {
     var message = decodeb64(req.body.message);
 
     Build.findOne(req.param('id')).exec(function(err, build) {
-      if (err) res.send(err);
+      if (err) return res.serverError(err);
+      if (!build) return res.notFound();
+      if (cancelled(build, res)) return;
 
       Build.completeJob(message, build);
       res.ok();
 
     });
 
+  },
+
+  // Endpoint for build output from external builders
+  log: function(req, res) {
+
+    if (!req.body || !req.body.output) return res.badRequest();
+
+    var output = decodeb64(req.body.output);
+
+    Build.findOne(req.param('id')).exec(function(err, build) {
+      if (err) return res.serverError(err);
+      if (!build) return res.notFound();
+      if (cancelled(build, res)) return;
+
+      BuildLog.create({
+        build: build.id,
+        output: BuildLog.redact(output)
+      }, function(err) {
+        if (err) return res.serverError(err);
+        res.ok();
+      });
+
+    });
+
+  },
+
+  // Stop a queued or running build
+  cancel: function(req, res) {
+
+    Build.findOne(req.param('id')).exec(function(err, build) {
+      if (err) return res.serverError(err);
+      if (!build) return res.notFound();
+      if (build.state !== 'processing') {
+        return res.badRequest('Only builds in progress can be cancelled');
+      }
+
+      Build.cancelJob(build, function(err) {
+        if (err) return res.badRequest(err.message);
+        res.ok();
+      });
+
+    });
+
+  },
+
+  // Start a new build of the same site, branch and source as a past build
+  rebuild: function(req, res) {
+
+    Build.findOne(req.param('id')).exec(function(err, build) {
+      if (err) return res.serverError(err);
+      if (!build) return res.notFound();
+
+      Build.create({
+        user: req.user.id,
+        site: build.site,
+        branch: build.branch,
+        source: build.source
+      }, function(err, model) {
+        if (err) return res.serverError(err);
+        res.json(model);
+      });
+
+    });
+
+  },
+
+  // Make a past build's site the live site for its branch again
+  rollback: function(req, res) {
+
+    Build.findOne(req.param('id')).populate('site').exec(function(err, build) {
+      if (err) return res.serverError(err);
+      if (!build) return res.notFound();
+      if (build.state !== 'success' || !build.version) {
+        return res.badRequest('Only published builds that are still ' +
+          'kept can be rolled back to');
+      }
+
+      sails.hooks[sails.config.build.engine].rollback(build, function(err) {
+        if (err) return res.serverError(err);
+        res.ok();
+      });
+
+    });
+
+  },
+
+  // Return the saved output of a build, and stream new output
+  // to socket requests as it is saved
+  logs: function(req, res) {
+
+    if (req.isSocket) {
+      sails.sockets.join(req.socket, BuildLog.streamRoom(req.param('id')));
+    }
+
+    BuildLog.findForBuild(req.param('id'), function(err, logs) {
+      if (err) return res.serverError(err);
+      res.json(logs);
+    });
+
   }
 
 };
@@ -1,35 +1,207 @@
-var AWS = require('aws-sdk'),
+var fs = require('fs'),
+    path = require('path'),
+    AWS = require('aws-sdk'),
     s3 = new AWS.S3();
 
+// Page a site can publish to be sent for missing files
+var NOT_FOUND = '404.html';
+
 module.exports = {
 
   /*
    * Proxies requests so they can be authenticated
    */
   proxy: function(req, res, next) {
+    serve(4, req, res, next);
+  },
 
-    // If not using S3, pass through to static asset middleware
-    if (!sails.config.build.s3Bucket) return next();
-
-    // For S3, proxy requests from S3 bucket
-    var key = req.path.slice(1);
-    if ((key).slice(-1) === '/') key = key + 'index.html';
-
-    var object = s3.getObject({
-          Bucket: sails.config.build.s3Bucket,
-          Key: key
-        }).on('httpHeaders', function(statusCode, headers) {
-          var redirect = headers['x-amz-website-redirect-location'] ||
-            headers['X-Amz-Website-Redirect-Location'];
-          if (redirect) return res.redirect(redirect);
-          res.set(headers);
-        }),
-        stream = object.createReadStream().on('error', function(error) {
-          var file = key.split('/').pop().indexOf('.') !== -1,
-              notFound = error.statusCode === 404;
-          if (!file && notFound) return res.redirect(req.path + '/');
-          res.send(error.statusCode, error.message);
-        }).pipe(res);
+  /*
+   * Serves live sites, which are published to S3 as versions
+   */
+  site: function(req, res, next) {
+    serve(3, req, res, next);
   }
 
 };
+
+/*
+ * Serve a request for a published site. The path starts with the prefix
+ * the site is served from, which is at least `segments` long, and the
+ * rest is read from the prefix's live version in the S3 bucket, or left to
+ * the static asset middleware for local sites.
+ */
+function serve(segments, req, res, next) {
+  var parts = req.path.split('/');
+
+  // If not using S3, redirect or set the site's headers and pass through
+  // to static asset middleware
+  if (!sails.config.build.s3Bucket) {
+    try {
+      parts = parts.map(decodeURIComponent);
+    } catch (err) {
+      return next();
+    }
+    if (_.contains(parts, '..')) return next();
+
+    return findLocalPrefix(parts, segments, function(length) {
+      if (parts.length <= length + 1) return res.redirect(req.path + '/');
+      serveLocal(parts, length, res, next);
+    });
+  }
+
+  findPrefix(parts, segments, function(err, length) {
+    var prefix = parts.slice(1, length + 1).join('/');
+
+    if (err) return res.serverError(err);
+    if (parts.length <= length + 1) return res.redirect(req.path + '/');
+
+    S3.liveVersion(prefix, function(err, version) {
+      if (err) return res.serverError(err);
+      sendVersion(prefix, version, parts.slice(length + 1), req, res);
+    });
+  });
+}
+
+/*
+ * Find how many segments of a path are the prefix of a site in S3.
+ * Branch names can have slashes, so previews are served from the longest
+ * prefix with a live version that the path starts with. Sites published
+ * before versions were kept are served from the shortest prefix, since
+ * their files are at their full path in the bucket.
+ */
+function findPrefix(parts, segments, done) {
+  // Live sites are served from their repository, whose name can't have
+  // slashes, so only previews need to be looked up
+  if (segments === 3) return done(null, segments);
+
+  S3.livePrefixes(parts.slice(1, segments).join('/'), function(err, prefixes) {
+    if (err) return done(err);
+    done(null, _.find(prefixLengths(parts, segments), function(length) {
+      return _.contains(prefixes, parts.slice(1, length + 1).join('/'));
+    }) || segments);
+  });
+}
+
+/*
+ * Find how many segments of a path are the prefix of a local site, which
+ * is the longest one with the header rules saved when it was published.
+ */
+function findLocalPrefix(parts, segments, done) {
+  if (segments === 3) return done(segments);
+
+  async.detectSeries(prefixLengths(parts, segments),
+    function(length, next) {
+      fs.exists(path.join(sails.config.build.publishDir,
+        parts.slice(1, length + 1).join('/'), HeaderRules.file), next);
+    }, function(length) {
+      done(length || segments);
+    });
+}
+
+// Lengths of the prefixes a path could be served from, longest first
+function prefixLengths(parts, segments) {
+  var longest = _.last(parts) ? parts.length - 1 : parts.length - 2;
+  return _.range(longest, segments - 1, -1);
+}
+
+/*
+ * Send a file from a site in S3, from its live version, or from the
+ * prefix itself for sites published before versions were kept.
+ */
+function sendVersion(prefix, version, rest, req, res) {
+  var root = version ? S3.versionPrefix(version) : prefix,
+      key = root + '/' + rest.join('/');
+  if ((key).slice(-1) === '/') key = key + 'index.html';
+
+  sendObject(key, res, function(error) {
+    var file = key.split('/').pop().indexOf('.') !== -1;
+    if (error.statusCode !== 404) {
+      return res.send(error.statusCode, error.message);
+    }
+    if (!file) return res.redirect(req.path + '/');
+
+    // Send the site's own page for missing files, if it has one
+    res.status(404);
+    sendObject(root + '/' + NOT_FOUND, res, function() {
+      res.notFound();
+    });
+  });
+}
+
+/*
+ * Stream an object from the S3 bucket, with its headers, or redirect if
+ * it's a redirect object. Calls `fail` with the error if it can't be read.
+ */
+function sendObject(key, res, fail) {
+  s3.getObject({
+    Bucket: sails.config.build.s3Bucket,
+    Key: key
+  }).on('httpHeaders', function(statusCode, headers) {
+    if (statusCode >= 300) return;
+    var redirect = headers['x-amz-website-redirect-location'] ||
+          headers['X-Amz-Website-Redirect-Location'],
+        status = Number(headers['x-amz-meta-redirect-status']) || 302;
+    if (redirect) return res.redirect(status, redirect);
+    res.set(HeaderRules.fromS3(headers));
+  }).createReadStream().on('error', fail).pipe(res);
+}
+
+/*
+ * Redirect a request for a local site, or set its headers, with the
+ * redirects and header rules saved with the site's live version.
+ */
+function serveLocal(parts, segments, res, next) {
+  var dir, request, file;
+
+  dir = path.join(sails.config.build.publishDir,
+    parts.slice(1, segments + 1).join('/'));
+  request = '/' + parts.slice(segments + 1).join('/');
+  file = request.slice(-1) === '/' ? request + 'index.html' : request;
+
+  async.parallel({
+    rules: readJSON.bind(null, path.join(dir, HeaderRules.file), {}),
+    redirects: readJSON.bind(null, path.join(dir, Redirects.file), [])
+  }, function(err, site) {
+    var redirect = Redirects.match(site.redirects, request) ||
+      Redirects.match(site.redirects, file);
+
+    if (redirect) return res.redirect(redirect.status, redirect.location);
+
+    // Files whose names start with a dot aren't served
+    fs.stat(path.join(dir, file), function(err) {
+      if (err || path.basename(file).charAt(0) === '.') {
+        return sendLocalNotFound(dir, site.rules, res, next);
+      }
+      res.set(HeaderRules.match(site.rules, file));
+      next();
+    });
+  });
+}
+
+/*
+ * Send a local site's own page for missing files, or pass through to the
+ * app's if it doesn't have one.
+ */
+function sendLocalNotFound(dir, rules, res, next) {
+  var page = path.join(dir, NOT_FOUND);
+
+  fs.stat(page, function(err, stats) {
+    if (err || !stats.isFile()) return next();
+    res.status(404).type('html');
+    res.set(HeaderRules.match(rules, '/' + NOT_FOUND));
+    fs.createReadStream(page).pipe(res);
+  });
+}
+
+// Read a JSON file, or use a default if it's missing or invalid
+function readJSON(file, defaults, done) {
+  fs.readFile(file, 'utf8', function(err, content) {
+    var data = defaults;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      // Sites published before this was saved don't have the file
+    }
+    done(null, data);
+  });
+}
@@ -1,99 +1,187 @@
-var exec = require('child_process').exec;
+var crypto = require('crypto'),
+    execFile = require('child_process').execFile,
+    fork = require('child_process').fork,
+    spawn = require('child_process').spawn,
+    fs = require('fs'),
+    path = require('path');
+
+// Variables from the app's environment that builds get, which they need to
+// find their tools. Sites' build commands and gems run code from their
+// repository, so the app's secrets aren't passed on.
+var BUILD_ENV = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TZ', 'TMPDIR', 'GEM_HOME',
+  'GEM_PATH'];
+var BUILD_ENV_PREFIXES = /^(BUNDLE_|npm_config_)/i;
 
 /**
  * A hook to managing build processes. Each engine gets its own method,
- * which takes a model, runs a shell process, and then returns the model
- * and any error message.
+ * which takes a model, runs the engine's build steps, and then returns the
+ * model and any error message. Sites can choose another engine and change
+ * its steps with a build config file in their repository (see BuildConfig).
  */
 
 var hook = {
 
-  jekyll: function(model, done) {
-    var clone = (model.source) ?
-      'cd ${source} && git clone -b ${branch} --single-branch ' +
-        'https://${token}@github.com/${source_owner}/${source_repo}.git . && ' +
-        'git remote add destination https://${token}@github.com/${owner}/${repository}.git && ' +
-        'git push destination ${branch} && cd -' :
-      'git clone -b ${branch} --single-branch ' +
-        'https://${token}@github.com/${owner}/${repository}.git ${source}';
-
-    // Run command template
-    this._run([
-      'rm -rf ${source} || true',
-      'rm -rf ${destination} || true',
-      'mkdir -p ${source}',
-      clone,
-      'git log -1 --pretty=format:\'commit: {%n "commit": "%H",%n "author": "%an <%ae>",%n "date": "%ad",%n "message": "%s"%n}\' > ' +
-        '${source}/_config_base.yml',
-      'echo "\nbaseurl: ${baseurl}\nbranch: ${branch}\n${config}" >> ' +
-        '${source}/_config_base.yml',
-      'bundle exec jekyll build --safe --config ${source}/_config.yml,${source}/_config_base.yml ' +
-        '--source ${source} --destination ${source}/_site',
-      'mkdir -p ${destination}',
-      'cp -r ${source}/_site/* ${destination}',
-      'rm -rf ${source}'
-    ], model, done);
+  /*
+   * Remove working directories left behind by crashed builds, and
+   * repository mirrors and gem caches that haven't been used for a
+   * while, when the app starts, and then every hour.
+   */
+  initialize: function(done) {
+    var service = this;
+
+    this._janitor(function() {});
+    this._pruneCaches(function() {});
+    setInterval(function() {
+      service._janitor(function() {});
+      service._pruneCaches(function() {});
+    }, 60 * 60 * 1000).unref();
+
+    done();
+  },
 
+  jekyll: function(model, done) {
+    this._run('jekyll', model, done);
   },
 
   hugo: function(model, done) {
+    this._run('hugo', model, done);
+  },
 
-    // Run command template
-    this._run([
-      'rm -rf ${source} || true',
-      'rm -rf ${destination} || true',
-      'mkdir -p ${source}',
-      'git clone -b ${branch} --single-branch ' +
-        'https://${token}@github.com/${owner}/${repository}.git ${source}',
-      'hugo --baseUrl=${baseurl} ' +
-        '--source=${source}',
-      'mkdir -p ${destination}',
-      'cp -r ${source}/public/* ${destination}',
-      'rm -rf ${source}'
-    ], model, done);
+  static: function(model, done) {
+    this._run('static', model, done);
+  },
 
+  node: function(model, done) {
+    this._run('node', model, done);
   },
 
-  static: function(model, done) {
+  /*
+   * Build steps for each engine, which build a cloned site into the
+   * engine's output directory. Each engine's `steps` is called with the
+   * build's tokens, build config, job and log. A command in the
+   * repository's build config replaces the engine's own build command.
+   */
+  engines: {
+
+    // Sites with a Gemfile are built with their own gems
+    jekyll: {
+      output: '_site',
+      steps: function(tokens, config, job, log) {
+        var service = this,
+            options = this._commandOptions(tokens, config),
+            configFiles = ['_config.yml'].concat(config.config,
+              '_config_base.yml');
+
+        return [
+          function(next) {
+            service._jekyllConfig(tokens, next);
+          },
+          function(next) {
+            service._bundle(tokens, options.env, job, log, next);
+          },
+          config.command ? ['sh', '-c', config.command, options] :
+            ['bundle', 'exec', 'jekyll', 'build', '--safe',
+              '--config', _.map(configFiles, function(file) {
+                return tokens.source + '/' + file;
+              }).join(','),
+              '--source', tokens.source,
+              '--destination', tokens.source + '/_site',
+              { env: options.env }]
+        ];
+      }
+    },
+
+    // A site's custom configuration is merged over its own config file
+    hugo: {
+      output: 'public',
+      steps: function(tokens, config) {
+        var service = this,
+            options = this._commandOptions(tokens, config),
+            args = ['hugo', '--baseUrl=' + tokens.baseurl,
+              '--source=' + tokens.source];
+
+        if (config.command) return [this._command(tokens, config)];
 
-    // Run command template
-    this._run([
-      'rm -rf ${source} || true',
-      'rm -rf ${destination} || true',
-      'mkdir -p ${source}',
-      'git clone -b ${branch} --single-branch ' +
-        'https://${token}@github.com/${owner}/${repository}.git ${source}',
-      'mkdir -p ${destination}',
-      'cp -r ${source}/* ${destination}',
-      'rm -rf ${source}'
-    ], model, done);
+        return [
+          function(next) {
+            service._hugoConfig(tokens, config, function(err, files) {
+              if (files && files.length) {
+                args.push('--config=' + files.join(','));
+              }
+              args.push({ env: options.env });
+              next(err);
+            });
+          },
+          args
+        ];
+      }
+    },
+
+    static: {
+      output: '.',
+      steps: function(tokens, config) {
+        return config.command ? [this._command(tokens, config)] : [];
+      }
+    },
+
+    // Installs dependencies from package-lock.json, using the shared npm
+    // cache (and registry mirror, if there is one) before the network,
+    // then runs the site's build script with BASEURL and BRANCH set
+    node: {
+      output: '_site',
+      steps: function(tokens, config) {
+        var options = this._commandOptions(tokens, config),
+            install = ['npm', 'ci', '--prefer-offline', '--no-audit',
+              '--cache', path.resolve(sails.config.build.npmCache)];
+
+        if (sails.config.build.npmRegistry) {
+          install.push('--registry', sails.config.build.npmRegistry);
+        }
+
+        return [
+          install.concat(options),
+          config.command ? this._command(tokens, config) :
+            ['npm', 'run', config.script || 'build', options]
+        ];
+      }
+    }
 
   },
 
   /*
-   * Takes a command template and a model, tokenizes the model,
-   * runs the command, and calls the callback.
+   * Takes an engine and a model, tokenizes the model, clones the site,
+   * reads its build config, runs the engine's build steps, and calls the
+   * callback.
    *
    * The following tokens are availble: owner, repository, branch,
    * token (GitHub access token), source (temporary build directory),
    * destination (final destination for build site).
    *
-   * The source directory should be deleted after build completes.
+   * Each step is an array of a command and its arguments, which is run
+   * without a shell, optionally followed by options for `spawn`, or a
+   * function that takes a callback. Each build gets its own working
+   * directory for source and destination, which is removed once the
+   * build completes.
+   * Output from the commands is saved to the build's log, and the
+   * commands are stopped if they run longer than the build timeout.
    *
-   * @param {Array} array of string templates, each item is a command
+   * @param {String} engine to build the site with, unless its build
+   *                 config names another
    * @param {Build} build model to parse
    * @param {Function} callback function
    */
-  _run: function(cmd, model, done) {
+  _run: function(engine, model, done) {
     var service = this,
-        defaultBranch = model.branch === model.site.defaultBranch,
         tokens = {
           branch: model.branch,
-          branchURL: defaultBranch ? '' : '/' + model.branch,
-          root: defaultBranch ? 'site' : 'preview',
           config: model.site.config
-        },
-        template = _.template(cmd.join(' && '));
+        };
+
+    // Branch names end up in commands and paths, so only run builds
+    // of branch names that git itself would accept
+    if (!Build.isValidBranch(model.branch)) {
+      return done(new Error('Invalid branch name: ' + model.branch), model);
+    }
 
     // Continue run process with populated model
     next(model);
@@ -101,91 +189,1118 @@ var hook = {
     function next(model) {
 
       // Set populated token values
-      tokens.repository = model.site.repository;
-      tokens.owner = model.site.owner;
+      _.extend(tokens, service._publishTokens(model));
       tokens.token = (model.user.passport) ?
         model.user.passport.tokens.accessToken : '';
-      tokens.baseurl = (model.site.domain && defaultBranch) ? "''" :
-        '/' + tokens.root + '/' + tokens.owner +
-        '/' + tokens.repository + tokens.branchURL;
 
       tokens.source_repo = model.source && model.source.repository;
       tokens.source_owner = model.source && model.source.owner;
 
-      // Set up source and destination paths
-      tokens.source = sails.config.build.tempDir + '/source/' +
-        tokens.owner + '/' + tokens.repository + '/' + tokens.branch;
-      tokens.destination = sails.config.build.tempDir + '/destination/' +
-        tokens.owner + '/' + tokens.repository + '/' + tokens.branch;
-      tokens.publish = sails.config.build.publishDir + '/' + tokens.root + '/' +
-        tokens.owner + '/' + tokens.repository + tokens.branchURL;
-
-      // Run command in child process and
-      // call callback with error and model
-      exec(template(tokens), function(err, stdout, stderr) {
-        if (stdout) sails.log.verbose('stdout: ' + stdout);
-        if (stderr) sails.log.verbose('stderr: ' + stderr);
+      // Set up source and destination paths in the build's own
+      // working directory
+      tokens.workspace = service._workspace(model);
+      tokens.source = tokens.workspace + '/source';
+      tokens.destination = tokens.workspace + '/destination';
+
+      var log = BuildLog.writer(model, [tokens.token]),
+          started = Date.now(),
+          timeout,
+          job = {};
+
+      service.jobs[model.id] = job;
+
+      // Stop the build if it runs for too long for the engine it's
+      // built with, which isn't known until its build config is read
+      function limit(name) {
+        timeout = model.site.buildTimeout || sails.config.build.timeout[name];
+        clearTimeout(job.timer);
+        job.timer = setTimeout(function() {
+          job.timedOut = true;
+          service._kill(job.child);
+        }, Math.max(started + timeout * 60 * 1000 - Date.now(), 0));
+      }
+      limit(engine);
+
+      // Start from an empty working directory, in case a build that
+      // was interrupted is being run again, then clone the site
+      service._steps([
+        ['rm', '-rf', tokens.workspace],
+        ['mkdir', '-p', tokens.source]
+      ].concat(service._clone(tokens, job, log)), job, log, function(err) {
+        if (err) return finish(err);
+
+        async.parallel({
+          config: BuildConfig.read.bind(BuildConfig, tokens.source),
+          redirects: Redirects.read.bind(Redirects, tokens.source)
+        }, function(err, results) {
+          if (err) return finish(err);
+
+          var config = results.config,
+              name = config.engine || engine,
+              build = service.engines[name];
+
+          limit(name);
+
+          // The site's custom configuration is written for its own
+          // engine, so it isn't used if the build config names another
+          if (name !== model.site.engine) tokens.config = '';
+          try {
+            tokens.siteConfig = SiteConfig.parse(name, tokens.config);
+          } catch (err) {
+            return finish(err);
+          }
+
+          // Static sites can choose what to publish in their settings,
+          // unless their build config does
+          if (name === 'static') {
+            config = _.extend({}, config, {
+              output: config.output || tokens.siteConfig.settings.output,
+              ignore: _.union(tokens.siteConfig.settings.ignore || [],
+                config.ignore)
+            });
+          }
+
+          // Header rules and redirects are applied when the site is
+          // published
+          tokens.headers = config.headers;
+          tokens.redirects = results.redirects;
+
+          var output = tokens.source + '/' + (config.output || build.output),
+              steps = build.steps.call(service, tokens, config, job, log);
+
+          // Build the site, then copy it to the destination without
+          // the files it shouldn't publish, add its sitemap and search
+          // index, optimize its files, and check its links and
+          // accessibility
+          service._steps(steps.concat([
+            ['mkdir', '-p', tokens.destination],
+            ['cp', '-r', output + '/.', tokens.destination],
+            ['rm', '-rf'].concat(_.map(
+              ['.git', Redirects.name].concat(BuildConfig.files,
+                config.ignore),
+              function(file) {
+                return tokens.destination + '/' + file;
+              }
+            ))
+          ], model.site.sitemap ? [function(next) {
+            Sitemap.write(tokens.destination, {
+              url: Sitemap.siteURL(model.site, tokens.baseurl),
+              preview: tokens.root === 'preview'
+            }, next);
+          }] : [], model.site.search ? [function(next) {
+            service._fork('SearchIndex', 'write', [tokens.destination, {
+              baseurl: tokens.baseurl
+            }], job, function(err, pages) {
+              if (!err) log('Indexed ' + pages + ' pages for search\n');
+              next(err);
+            });
+          }] : [], config.optimize === false ? [] : [function(next) {
+            service._optimize(tokens, config, model, job, log, next);
+          }], [
+            function(next) {
+              service._checkLinks(tokens, model, job, log, next);
+            },
+            function(next) {
+              service._audit(tokens, model, job, log, next);
+            }
+          ]), job, log, finish);
+        });
+      });
+
+      // Call callback with error and model
+      function finish(err) {
+        clearTimeout(job.timer);
+        delete service.jobs[model.id];
+
+        if (job.cancelled) {
+          return service._clean(tokens, function() {
+            done(null, model, 'cancelled');
+          });
+        }
+
+        if (job.timedOut) {
+          return service._clean(tokens, function() {
+            done(new Error('Build timed out after ' + timeout + ' minute' +
+              (timeout === 1 ? '' : 's')), model);
+          });
+        }
+
         if (err) {
-          var cmd = _.template('rm -rf ${destination} && rm -rf ${source}');
-          exec(cmd(tokens), function() {
+          return service._clean(tokens, function() {
             done(err, model);
           });
-        } else {
-          service.publish(tokens, model, done);
         }
+
+        service.publish(tokens, model, function(err, model) {
+          service._clean(tokens, function() {
+            done(err, model);
+          });
+        });
+      }
+
+    }
+
+  },
+
+  /*
+   * Steps to clone a site's repository into the source directory, from
+   * a local mirror of the repository. Sites created from a template are
+   * cloned from the template, and pushed to the site's repository.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Object} job the steps belong to
+   * @param {Function} function that saves output to the build log
+   * @returns {Array} steps
+   */
+  _clone: function(tokens, job, log) {
+    var service = this,
+        clone = function(owner, repository) {
+          return function(next) {
+            service._mirror(tokens, owner, repository, job, log, next);
+          };
+        };
+
+    if (!tokens.source_repo) {
+      return [clone(tokens.owner, tokens.repository)];
+    }
+
+    return [
+      clone(tokens.source_owner, tokens.source_repo),
+      ['git', '-C', tokens.source, 'remote', 'add', 'destination',
+        this._repositoryURL(tokens, tokens.owner, tokens.repository)],
+      ['git', '-C', tokens.source, 'push', 'destination', tokens.branch]
+    ];
+  },
+
+  /*
+   * Clone a branch into the source directory from a bare mirror of its
+   * repository under `tempDir/mirrors`, after fetching new commits into
+   * the mirror. Builds take turns using a mirror, and the access token
+   * is only used for fetching, so it isn't saved in the mirror.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {String} owner of the repository
+   * @param {String} repository name
+   * @param {Object} job the clone belongs to
+   * @param {Function} function that saves output to the build log
+   * @param {Function} callback function
+   */
+  _mirror: function(tokens, owner, repository, job, log, done) {
+    var service = this,
+        mirror = this._mirrorPath(owner, repository),
+        url = this._repositoryURL(tokens, owner, repository);
+
+    this._lock(mirror, job, function(err, release) {
+      if (err) return done(err);
+
+      fs.exists(mirror, function(exists) {
+        service._steps((exists ? [] : [
+          ['git', 'init', '--bare', '--quiet', mirror]
+        ]).concat([
+          ['git', '-C', mirror, 'fetch', '--prune', '--quiet', url,
+            '+refs/heads/*:refs/heads/*'],
+          ['git', 'clone', '--quiet', '-b', tokens.branch, '--single-branch',
+            mirror, tokens.source],
+          ['git', '-C', mirror, 'gc', '--auto', '--quiet']
+        ]), job, log, function(err) {
+          var now = new Date();
+
+          // Start again with a new mirror only if this one is corrupt,
+          // since a missing branch or a network error doesn't mean the
+          // mirror can't be used by the next build
+          if (err) {
+            return execFile('git', ['-C', mirror, 'fsck',
+              '--connectivity-only', '--no-progress'], {
+              timeout: 10 * 60 * 1000
+            }, function(corrupt) {
+              if (!corrupt) {
+                release();
+                return done(err);
+              }
+              execFile('rm', ['-rf', mirror], function() {
+                release();
+                done(err);
+              });
+            });
+          }
+
+          // Record when the mirror was last used, for pruning
+          fs.utimes(mirror, now, now, function() {
+            release();
+            done();
+          });
+        });
+      });
+    });
+  },
+
+  /*
+   * Install the gems in a site's Gemfile, if it has one, into a cache for
+   * the site keyed by the Gemfile and Gemfile.lock, and set up the
+   * environment to build the site with them. Sites without a Gemfile are
+   * built with the platform's gems.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Object} environment variables for the build, which are updated
+   * @param {Object} job the install belongs to
+   * @param {Function} function that saves output to the build log
+   * @param {Function} callback function
+   */
+  _bundle: function(tokens, env, job, log, done) {
+    var service = this,
+        gemfile = path.resolve(tokens.source, 'Gemfile');
+
+    fs.readFile(gemfile, function(err, gems) {
+      if (err) {
+        env.BUNDLE_GEMFILE = path.resolve('Gemfile');
+        return done();
+      }
+
+      fs.readFile(gemfile + '.lock', function(err, lock) {
+        var hash = crypto.createHash('sha1')
+              .update(gems).update(lock || '').digest('hex'),
+            cache = path.resolve(sails.config.build.tempDir, 'bundles',
+              tokens.owner, tokens.repository, hash);
+
+        env.BUNDLE_GEMFILE = gemfile;
+        env.BUNDLE_PATH = cache;
+        // Install exactly the locked versions, if there are any
+        if (lock) env.BUNDLE_FROZEN = 'true';
+
+        service._lock(cache, job, function(err, release) {
+          if (err) return done(err);
+
+          service._steps([
+            ['bundle', 'install', '--jobs', '4', '--retry', '3', { env: env }]
+          ], job, log, function(err) {
+            var now = new Date();
+
+            // Record when the cache was last used, for pruning
+            fs.utimes(cache, now, now, function() {
+              release();
+              if (err && !job.cancelled && !job.timedOut) {
+                return done(new Error('Unable to install the gems in the ' +
+                  'site\'s Gemfile. ' + err.message));
+              }
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  },
+
+  /*
+   * Get the path of a repository's mirror.
+   *
+   * @param {String} owner of the repository
+   * @param {String} repository name
+   * @returns {String} path
+   */
+  _mirrorPath: function(owner, repository) {
+    return path.resolve(sails.config.build.tempDir, 'mirrors', owner,
+      repository + '.git');
+  },
+
+  /*
+   * Take a lock on a path, shared with other processes using the same
+   * `tempDir`, waiting until the lock is free. Locks older than the
+   * longest build timeout were left behind by a crash, and are taken over.
+   *
+   * @param {String} path to lock
+   * @param {Object} job waiting for the lock, which stops waiting if the
+   *                 job is cancelled or times out
+   * @param {Function} callback with an error and a function that releases
+   *                   the lock
+   */
+  _lock: function(name, job, done) {
+    var file = name + '.lock',
+        maxAge = this._maxAge();
+
+    execFile('mkdir', ['-p', path.dirname(file)], function(err) {
+      if (err) return done(err);
+      attempt();
+    });
+
+    function attempt() {
+      fs.open(file, 'wx', function(err, fd) {
+        if (!err) {
+          return fs.close(fd, function() {
+            done(null, function release() {
+              fs.unlink(file, function() {});
+            });
+          });
+        }
+        if (err.code !== 'EEXIST') return done(err);
+        if (job.cancelled || job.timedOut) {
+          return done(new Error('Build stopped'));
+        }
+
+        fs.stat(file, function(err, stats) {
+          if (!err && Date.now() - stats.mtime.getTime() > maxAge) {
+            return fs.unlink(file, function() {
+              attempt();
+            });
+          }
+          setTimeout(attempt, 1000);
+        });
+      });
+    }
+  },
+
+  /*
+   * Get the longest time a build can run for, in milliseconds.
+   *
+   * @returns {Number} time
+   */
+  _maxAge: function() {
+    return _.max(_.values(sails.config.build.timeout)) * 60 * 1000;
+  },
+
+  /*
+   * A step that runs the build command from a site's build config.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Object} build config
+   * @returns {Array} step
+   */
+  _command: function(tokens, config) {
+    return ['sh', '-c', config.command, this._commandOptions(tokens, config)];
+  },
+
+  /*
+   * Options to run a site's own build commands in its repository, with
+   * the site's baseurl and branch and the config's environment variables.
+   * Only the variables in BUILD_ENV are kept from the app's environment.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Object} build config
+   * @returns {Object} options for `spawn`
+   */
+  _commandOptions: function(tokens, config) {
+    return {
+      cwd: tokens.source,
+      env: _.extend(_.pick(process.env, function(value, name) {
+        return _.contains(BUILD_ENV, name) || BUILD_ENV_PREFIXES.test(name);
+      }), {
+        BASEURL: tokens.baseurl,
+        BRANCH: tokens.branch
+      }, config.env)
+    };
+  },
+
+  /*
+   * Run build steps in order, stopping at the first step that fails or
+   * when the job is cancelled or times out.
+   *
+   * @param {Array} steps, as for _run
+   * @param {Object} job the steps belong to
+   * @param {Function} function that saves output to the build log
+   * @param {Function} callback function
+   */
+  _steps: function(steps, job, log, done) {
+    var service = this;
+
+    async.eachSeries(steps, function(step, next) {
+      if (job.cancelled || job.timedOut) return next(new Error('Build stopped'));
+      if (typeof step === 'function') return step(next);
+      service._spawn(step, job, log, next);
+    }, done);
+  },
+
+  /*
+   * Run a command in its own process group, so it can be stopped
+   * along with every process it starts.
+   *
+   * @param {Array} command and its arguments, and optionally options
+   *                for `spawn`
+   * @param {Object} job the command belongs to
+   * @param {Function} function that saves output to the build log
+   * @param {Function} callback function
+   */
+  _spawn: function(step, job, log, done) {
+    var options = _.isPlainObject(_.last(step)) ? _.last(step) : {},
+        args = _.without(step, options),
+        stderr = '',
+        called = false,
+        child = spawn(args[0], args.slice(1),
+          _.extend({ detached: true }, options));
+
+    job.child = child;
+    log('$ ' + args.join(' ') + '\n');
+
+    // Save combined output to the build log as it is printed
+    child.stdout.on('data', function(data) {
+      sails.log.verbose('stdout: ' + data);
+      log(data);
+    });
+    child.stderr.on('data', function(data) {
+      sails.log.verbose('stderr: ' + data);
+      stderr += data;
+      log(data);
+    });
+
+    // Commands that can't be started emit an error instead
+    child.on('error', finish);
+    child.on('close', function(code, signal) {
+      if (code || signal) {
+        return finish(new Error('Command failed: ' + args.join(' ') +
+          '\n' + stderr));
+      }
+      finish();
+    });
+
+    function finish(err) {
+      if (called) return;
+      called = true;
+      job.child = null;
+      done(err);
+    }
+  },
+
+  /*
+   * Get the URL to clone a repository with the user's access token.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {String} owner of the repository
+   * @param {String} repository name
+   * @returns {String} url
+   */
+  _repositoryURL: function(tokens, owner, repository) {
+    return 'https://' + tokens.token + '@github.com/' +
+      owner + '/' + repository + '.git';
+  },
+
+  /*
+   * Write the Jekyll config that Federalist adds to a site's own config:
+   * details of the latest commit, the baseurl and branch, and the site's
+   * custom config.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Function} callback function
+   */
+  _jekyllConfig: function(tokens, done) {
+    execFile('git', ['-C', tokens.source, 'log', '-1',
+      '--pretty=format:commit: {%n "commit": "%H",%n "author": "%an <%ae>",' +
+        '%n "date": "%ad",%n "message": "%s"%n}'
+    ], function(err, commit) {
+      if (err) return done(err);
+      fs.writeFile(tokens.source + '/_config_base.yml', [
+        commit,
+        '',
+        'baseurl: ' + JSON.stringify(tokens.baseurl),
+        'branch: ' + JSON.stringify(tokens.branch),
+        tokens.config || '',
+        ''
+      ].join('\n'), done);
+    });
+  },
+
+  /*
+   * Find the config files for a Hugo build: the site's own config file
+   * and any extra files from its build config, then the site's custom
+   * configuration, which is written to `_config_federalist.toml` (or
+   * `.yaml`). Hugo only reads its default config file if no others are
+   * given, so it's included with them.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Object} build config
+   * @param {Function} callback with an error and the config files, or
+   *                   none if Hugo should use its default
+   */
+  _hugoConfig: function(tokens, config, done) {
+    var custom = tokens.siteConfig || { settings: {} },
+        file = tokens.source + '/_config_federalist.' + custom.format;
+
+    if (!config.config.length && _.isEmpty(custom.settings)) {
+      return done(null, []);
+    }
+
+    async.detectSeries(['config.toml', 'config.yaml', 'config.json'],
+      function(name, next) {
+        fs.exists(tokens.source + '/' + name, next);
+      }, function(name) {
+        var files = _.map(_.compact([name].concat(config.config)),
+          function(name) {
+            return tokens.source + '/' + name;
+          });
+
+        if (_.isEmpty(custom.settings)) return done(null, files);
+        fs.writeFile(file, tokens.config, function(err) {
+          done(err, files.concat(file));
+        });
+      });
+  },
+
+  /*
+   * Optimize the built site's files in the destination, fingerprinting
+   * its assets if its build config asks to, save how many bytes were
+   * saved on the build, and list files that couldn't be optimized in the
+   * build's log.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Object} build config
+   * @param {Build} build model
+   * @param {Object} job the build belongs to
+   * @param {Function} function that saves output to the build log
+   * @param {Function} callback function
+   */
+  _optimize: function(tokens, config, model, job, log, done) {
+    this._fork('AssetOptimizer', 'optimize', [tokens.destination, {
+      baseurl: tokens.baseurl,
+      fingerprint: config.fingerprint === true
+    }], job, function(err, stats, warnings) {
+      if (err) return done(err);
+
+      model.optimizeStats = stats;
+      _.each(warnings, function(warning) {
+        log(warning + '\n');
+      });
+      log('Optimized ' + stats.files + ' files, saving ' +
+        Math.round((stats.before - stats.after) / 1024) + ' KB' +
+        (stats.fingerprinted ? ', and fingerprinted ' + stats.fingerprinted +
+          ' assets' : '') + '\n');
+      done();
+    });
+  },
+
+  /*
+   * Check the built site in the destination for broken internal links,
+   * save the report on the build, and list the broken links in the
+   * build's log. Builds of sites that fail on broken links fail if there
+   * are any, and aren't published.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Build} build model
+   * @param {Object} job the build belongs to
+   * @param {Function} function that saves output to the build log
+   * @param {Function} callback function
+   */
+  _checkLinks: function(tokens, model, job, log, done) {
+    this._fork('LinkChecker', 'check', [tokens.destination, {
+      baseurl: tokens.baseurl,
+      redirects: tokens.redirects
+    }], job, function(err, report) {
+      if (err) return done(err);
+
+      model.linkReport = report;
+      log('Checked ' + report.links + ' links in ' + report.pages +
+        ' pages: ' + report.broken + ' broken\n');
+      _.each(report.problems, function(problem) {
+        log(problem.page + ': ' + problem.link + ' (' + problem.reason + ')\n');
+      });
+
+      if (report.broken && model.site.failOnBrokenLinks) {
+        return done(new Error('Found ' + report.broken + ' broken ' +
+          'internal link' + (report.broken === 1 ? '' : 's')));
+      }
+      done();
+    });
+  },
+
+  /*
+   * Audit the built site in the destination for accessibility problems,
+   * save the report on the build, and list the problems in the build's
+   * log. Builds of a site's default branch with more problems than the
+   * site's threshold fail, and aren't published.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Build} build model
+   * @param {Object} job the build belongs to
+   * @param {Function} function that saves output to the build log
+   * @param {Function} callback function
+   */
+  _audit: function(tokens, model, job, log, done) {
+    var threshold = model.site.accessibilityThreshold;
+
+    this._fork('AccessibilityAudit', 'audit', [tokens.destination], job,
+      function(err, report) {
+        if (err) return done(err);
+
+        model.accessibilityReport = report;
+        log('Audited ' + report.pages + ' pages for accessibility: ' +
+          report.violations + ' problems\n');
+        _.each(report.problems, function(problem) {
+          log(problem.page + ': ' + problem.message + '\n');
+        });
+
+        if (tokens.root === 'site' && _.isNumber(threshold) &&
+            report.violations > threshold) {
+          return done(new Error('Found ' + report.violations + ' ' +
+            'accessibility problems, more than the ' + threshold + ' the ' +
+            'site allows on its default branch'));
+        }
+        done();
+      });
+  },
+
+  /*
+   * Running jobs, by build id.
+   */
+  jobs: {},
+
+  /*
+   * Stop a running build and every process it started. The build
+   * completes as cancelled once its processes exit.
+   *
+   * @param {Build} build model to cancel
+   * @param {Function} callback function
+   */
+  cancel: function(model, done) {
+    var job = this.jobs[model.id];
+
+    if (!job) return done(new Error('This build can no longer be cancelled'));
+
+    job.cancelled = true;
+    this._kill(job.child);
+    done();
+  },
+
+  /*
+   * Run a service's method on a built site in a child process (see
+   * api/workers/buildStep.js), so minifying or reading every file in a
+   * large site doesn't hold up requests to the app. The process is
+   * stopped along with the build, like the build's commands.
+   *
+   * @param {String} name of the service
+   * @param {String} method, which takes a callback
+   * @param {Array} arguments for the method, before its callback
+   * @param {Object} job the work belongs to
+   * @param {Function} callback with an error and the method's results
+   */
+  _fork: function(name, method, args, job, done) {
+    var called = false,
+        result,
+        child = fork(path.join(__dirname, '..', '..', 'workers',
+          'buildStep.js'), [], { detached: true });
+
+    job.child = child;
+    child.on('message', function(message) {
+      result = message;
+    });
+    child.on('error', finish);
+    child.on('exit', function(code, signal) {
+      if (!result) {
+        return finish(new Error(name + '.' + method + ' stopped ' +
+          (signal ? 'with ' + signal : 'with code ' + code)));
+      }
+      finish.apply(null, [result.error && new Error(result.error)]
+        .concat(result.results));
+    });
+    child.send({ service: name, method: method, args: args });
+
+    function finish() {
+      if (called) return;
+      called = true;
+      job.child = null;
+      done.apply(null, arguments);
+    }
+  },
+
+  /*
+   * Kill a child process's process group.
+   *
+   * @param {ChildProcess} process started with `detached`
+   */
+  _kill: function(child) {
+    if (!child) return;
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch (err) {
+      // The processes have already exited
+    }
+  },
+
+  /*
+   * Get the working directory for a build.
+   *
+   * @param {Build} build model
+   * @returns {String} path
+   */
+  _workspace: function(model) {
+    return path.resolve(sails.config.build.tempDir, 'builds', String(model.id));
+  },
+
+  /*
+   * Remove a build's working directory.
+   *
+   * @param {Object} tokens from the _run command
+   * @param {Function} callback function
+   */
+  _clean: function(tokens, done) {
+    execFile('rm', ['-rf', tokens.workspace], function() {
+      done();
+    });
+  },
+
+  /*
+   * Remove working directories of builds that aren't running here and
+   * are older than the longest build timeout, such as directories left
+   * behind when the app stopped during a build.
+   *
+   * @param {Function} callback with an error and the removed build ids
+   */
+  _janitor: function(done) {
+    var service = this,
+        dir = sails.config.build.tempDir + '/builds',
+        maxAge = this._maxAge();
+
+    fs.readdir(dir, function(err, ids) {
+      if (err && err.code === 'ENOENT') return done(null, []);
+      if (err) return done(err);
+
+      async.filter(ids, function(id, next) {
+        if (service.jobs[id]) return next(false);
+        fs.stat(path.join(dir, id), function(err, stats) {
+          next(!err && Date.now() - stats.mtime.getTime() > maxAge);
+        });
+      }, function(stale) {
+        async.each(stale, function(id, next) {
+          sails.log.verbose('Removing stale build directory: ', id);
+          service._clean({ workspace: path.join(dir, id) }, next);
+        }, function() {
+          done(null, stale);
+        });
+      });
+    });
+  },
+
+  /*
+   * Remove repository mirrors and gem caches that no build has used for
+   * `config.build.cacheMaxAge` days.
+   *
+   * @param {Function} callback with an error and the removed paths
+   */
+  _pruneCaches: function(done) {
+    var service = this,
+        tempDir = sails.config.build.tempDir,
+        maxAge = sails.config.build.cacheMaxAge * 24 * 60 * 60 * 1000;
+
+    // Mirrors are at `mirrors/owner/repository.git`, and gem caches at
+    // `bundles/owner/repository/hash`
+    async.concat([
+      { dir: path.resolve(tempDir, 'mirrors'), depth: 2 },
+      { dir: path.resolve(tempDir, 'bundles'), depth: 3 }
+    ], function(cache, next) {
+      list(cache.dir, cache.depth, next);
+    }, function(err, caches) {
+      if (err) return done(err);
+
+      async.filter(caches, function(cache, next) {
+        fs.stat(cache, function(err, stats) {
+          next(!err && Date.now() - stats.mtime.getTime() > maxAge);
+        });
+      }, function(stale) {
+        async.eachSeries(stale, function(cache, next) {
+          service._lock(cache, {}, function(err, release) {
+            if (err) return next();
+            sails.log.verbose('Removing unused build cache: ', cache);
+            execFile('rm', ['-rf', cache], function() {
+              release();
+              next();
+            });
+          });
+        }, function() {
+          done(null, stale);
+        });
       });
+    });
+
+    // List the paths a number of directories deep, without lock files,
+    // treating a missing directory as empty
+    function list(dir, depth, next) {
+      fs.readdir(dir, function(err, files) {
+        if (err && err.code === 'ENOENT') return next(null, []);
+        if (err) return next(err);
+
+        files = _.map(_.reject(files, function(file) {
+          return /\.lock$/.test(file);
+        }), function(file) {
+          return path.join(dir, file);
+        });
 
+        if (depth === 1) return next(null, files);
+        async.concat(files, function(file, next) {
+          list(file, depth - 1, next);
+        }, next);
+      });
     }
+  },
 
+  /*
+   * Tokens for where a build's site is published: the `prefix` it's
+   * served from, under `site` or `preview`, its `baseurl`, the local
+   * `publish` directory for the prefix, and the `version` of the site the
+   * build is published as.
+   *
+   * @param {Build} build model, with its site populated
+   * @returns {Object} tokens
+   */
+  _publishTokens: function(model) {
+    var defaultBranch = model.branch === model.site.defaultBranch,
+        tokens = {
+          owner: model.site.owner,
+          repository: model.site.repository,
+          root: defaultBranch ? 'site' : 'preview',
+          branchURL: defaultBranch ? '' : '/' + model.branch
+        };
+
+    tokens.prefix = tokens.root + '/' + tokens.owner + '/' +
+      tokens.repository + tokens.branchURL;
+    tokens.baseurl = (model.site.domain && defaultBranch) ? '' :
+      '/' + tokens.prefix;
+    tokens.publish = sails.config.build.publishDir + '/' + tokens.prefix;
+    tokens.version = tokens.owner + '/' + tokens.repository + '/' + model.id;
+
+    return tokens;
   },
 
   /*
-   * Publish a built site by copying it to its publish directory
-   * or syncing it to an S3 bucket.
+   * Publish a built site as a new version, by copying it to a versions
+   * directory or syncing it to a versions prefix in an S3 bucket, then
+   * make it the live version of its branch, and remove old versions of
+   * the site. Versions are never changed once they're published, so the
+   * live site is never half published, and can be rolled back.
    *
    * @param {Object} tokens from the _run command
    * @param {Build} build model to parse
    * @param {Function} callback function
    */
   publish: function(tokens, model, done) {
+    var service = this,
+        dir = this._versionPath(tokens.version),
+        redirects = _.map(tokens.redirects, function(redirect) {
+          return {
+            from: redirect.from,
+            location: Redirects.location(redirect, tokens.baseurl),
+            status: redirect.status
+          };
+        });
 
-    // If an S3 bucket is defined, sync the site to it
+    // If an S3 bucket is defined, sync the site to it, uploading only
+    // the files that changed since the branch's live version
     if (sails.config.build.s3Bucket) {
-      var syncConfig = {
-            prefix: tokens.root + '/' +
-              tokens.owner + '/' +
-              tokens.repository +
-              tokens.branchURL,
-            directory: tokens.destination,
-            baseurl: tokens.baseurl === "''" ? '' : tokens.baseurl
-          };
-      sails.log.verbose('Publishing job: ', model.id,
-        ' => ', sails.config.build.s3Bucket);
-      S3(syncConfig, function(err) {
-        var cmd = _.template('rm -rf ${destination} || true');
-        exec(cmd(tokens), function(err, stdout, stderr) {
+      this._liveVersion(tokens, function(err, live) {
+        if (err) return done(err, model);
+
+        var syncConfig = {
+              prefix: S3.versionPrefix(tokens.version),
+              previous: live && S3.versionPrefix(live),
+              directory: tokens.destination,
+              baseurl: tokens.baseurl,
+              rules: tokens.headers,
+              redirects: redirects
+            };
+        sails.log.verbose('Publishing job: ', model.id,
+          ' => ', sails.config.build.s3Bucket + '/' + syncConfig.prefix);
+        S3(syncConfig, function(err, stats) {
+          model.uploadStats = stats;
+          activate(err);
+        });
+      });
+
+    // Or else copy the site to a local directory, with its header rules
+    // and redirects for the preview proxy
+    } else {
+      sails.log.verbose('Publishing job: ', model.id, ' => ', dir);
+      async.eachSeries([
+        ['rm', '-rf', dir],
+        ['mkdir', '-p', dir],
+        ['cp', '-r', tokens.destination + '/.', dir]
+      ], function(args, next) {
+        execFile(args[0], args.slice(1), function(err, stdout, stderr) {
           if (stdout) sails.log.verbose('stdout: ' + stdout);
           if (stderr) sails.log.verbose('stderr: ' + stderr);
-          done(err, model);
+          next(err);
         });
+      }, function(err) {
+        if (err) return activate(err);
+        async.parallel([
+          fs.writeFile.bind(fs, path.join(dir, HeaderRules.file),
+            JSON.stringify(tokens.headers || {})),
+          fs.writeFile.bind(fs, path.join(dir, Redirects.file),
+            JSON.stringify(redirects))
+        ], activate);
       });
+    }
 
-    // Or else copy the site to a local directory
-    } else {
-      var cmd = _.template(['rm -r ${publish} || true',
-            'mkdir -p ${publish}',
-            'cp -r ${destination}/* ${publish}',
-            'rm -rf ${destination} || true'
-          ].join(' && '));
-      sails.log.verbose('Publishing job: ', model.id,
-        ' => ', tokens.publish);
-      exec(cmd(tokens), function(err, stdout, stderr) {
-        if (stdout) sails.log.verbose('stdout: ' + stdout);
-        if (stderr) sails.log.verbose('stderr: ' + stderr);
-        done(err, model);
+    function activate(err) {
+      if (err) return done(err, model);
+
+      model.version = tokens.version;
+      service._liveVersion(tokens, function(err, live) {
+        if (err) return done(err, model);
+
+        // Builds of a branch can finish out of order when they run on
+        // different instances, so an older build doesn't replace a newer
+        // one. It's kept as a version, so the site can be rolled back to it.
+        // Versions end with the id of their build.
+        if (live && Number(_.last(live.split('/'))) > model.id) {
+          sails.log.verbose('Not activating job: ', model.id,
+            ', a newer build is live: ', live);
+          return done(null, model);
+        }
+        service._activate(tokens, tokens.version, activated);
       });
     }
 
+    function activated(err) {
+      if (err) return done(err, model);
+
+      // Old versions are only kept for rollbacks, so failing to remove
+      // them doesn't fail the build
+      service._pruneVersions(model, function(err) {
+        if (err) sails.log.error('Unable to remove old versions: ', err);
+        done(null, model);
+      });
+    }
+
+  },
+
+  /*
+   * Make a published build's version of its site the live version of
+   * its branch again.
+   *
+   * @param {Build} build model, with its site populated
+   * @param {Function} callback function
+   */
+  rollback: function(model, done) {
+    var tokens = this._publishTokens(model);
+
+    if (!model.version) {
+      return done(new Error('This build is no longer kept, so the site ' +
+        'can\'t be rolled back to it'));
+    }
+
+    sails.log.verbose('Rolling back: ', tokens.prefix, ' => ', model.version);
+    this._activate(tokens, model.version, done);
+  },
+
+  /*
+   * Get the local directory for a version of a site. Versions are kept
+   * in a hidden directory in the publish directory, so they're only
+   * served through the live directory of their branch.
+   *
+   * @param {String} version
+   * @returns {String} path
+   */
+  _versionPath: function(version) {
+    return path.resolve(sails.config.build.publishDir, '.versions', version);
+  },
+
+  /*
+   * Point a branch's live site at a version. Local sites are served from
+   * a symlink to the version, which is replaced in one step by renaming
+   * a new symlink over it. Sites in S3 are served by the preview proxy
+   * from the version named in the branch's manifest.
+   *
+   * @param {Object} tokens from `_publishTokens`
+   * @param {String} version
+   * @param {Function} callback function
+   */
+  _activate: function(tokens, version, done) {
+    var service = this,
+        link = path.resolve(tokens.publish),
+        temp = path.join(path.dirname(link), '.' + path.basename(link) +
+          '-' + crypto.randomBytes(4).toString('hex'));
+
+    if (sails.config.build.s3Bucket) {
+      return S3.activate(tokens.prefix, version, done);
+    }
+
+    execFile('mkdir', ['-p', path.dirname(link)], function(err) {
+      if (err) return done(err);
+      fs.symlink(service._versionPath(version), temp, function(err) {
+        if (err) return done(err);
+        fs.rename(temp, link, function(err) {
+          if (!err) return done();
+
+          // Sites published before versions were kept have a directory
+          // here instead of a symlink
+          execFile('rm', ['-rf', link], function() {
+            fs.rename(temp, link, function(err) {
+              if (err) fs.unlink(temp, function() {});
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  },
+
+  /*
+   * Find the live version of a branch's site.
+   *
+   * @param {Object} tokens from `_publishTokens`
+   * @param {Function} callback with an error and the version, or nothing
+   *                   if the branch isn't published as a version
+   */
+  _liveVersion: function(tokens, done) {
+    var versions = this._versionPath('');
+
+    if (sails.config.build.s3Bucket) {
+      return S3.liveVersion(tokens.prefix, done);
+    }
+
+    fs.readlink(tokens.publish, function(err, target) {
+      if (err && (err.code === 'ENOENT' || err.code === 'EINVAL')) {
+        return done(null, null);
+      }
+      if (err) return done(err);
+      done(null, path.relative(versions, target));
+    });
+  },
+
+  /*
+   * Remove all but the newest `config.build.publishVersions` versions of
+   * a build's site, except versions that are still live, such as the
+   * version a branch was rolled back to.
+   *
+   * @param {Build} build model that was just published
+   * @param {Function} callback function
+   */
+  _pruneVersions: function(model, done) {
+    var service = this,
+        keep = sails.config.build.publishVersions;
+
+    Build.find({
+      site: model.site.id,
+      id: { '!': model.id },
+      version: { '!': null }
+    }).sort('id DESC').exec(function(err, builds) {
+      if (err) return done(err);
+
+      // The new version counts toward the versions kept
+      async.eachSeries(builds.slice(Math.max(keep - 1, 0)),
+        function(build, next) {
+          var tokens = service._publishTokens(_.extend({}, build, {
+            site: model.site
+          }));
+
+          service._liveVersion(tokens, function(err, live) {
+            if (err || live === build.version) return next(err);
+
+            sails.log.verbose('Removing version: ', build.version);
+            service._removeVersion(build.version, function(err) {
+              if (err) return next(err);
+              Build.update({ id: build.id }, { version: null }, next);
+            });
+          });
+        }, done);
+    });
+  },
+
+  /*
+   * Remove a version of a site.
+   *
+   * @param {String} version
+   * @param {Function} callback function
+   */
+  _removeVersion: function(version, done) {
+    if (sails.config.build.s3Bucket) return S3.removeVersion(version, done);
+    execFile('rm', ['-rf', this._versionPath(version)], function(err) {
+      done(err);
+    });
   }
 
 };
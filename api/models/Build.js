@@ -5,24 +5,61 @@
 * @docs        :: http://sailsjs.org/#!documentation/models
 */
 
+var BuildQueue = require('../services/BuildQueue'),
+    PostgresBuildQueue = require('../services/PostgresBuildQueue');
+
 module.exports = {
   // Enforce model schema in the case of schemaless databases
   schema: true,
 
+  // Custom validation types
+  types: {
+    branchName: function(value) {
+      return Build.isValidBranch(value);
+    }
+  },
+
   attributes: {
     completedAt: 'datetime',
     error: 'string',
-    branch: 'string',
+    branch: {
+      type: 'string',
+      branchName: true
+    },
     state: {
       type: 'string',
       defaultsTo: 'processing',
       enum: [
+        'cancelled',
         'error',
         'processing',
         'skipped',
-        'success'
+        'success',
+        'superseded'
       ]
     },
+    // The newer build that replaced a superseded build
+    supersededBy: {
+      type: 'integer'
+    },
+    // The app instance running the build, and when it last reported that
+    // it's still running it, for the 'postgres' build queue
+    lockedBy: 'string',
+    heartbeatAt: 'datetime',
+    // The version of the site the build was published as, while it's
+    // kept so the site can be rolled back to it
+    version: 'string',
+    // Files added, changed, removed and unchanged since the last version,
+    // and bytes uploaded, when the build was published to S3
+    uploadStats: 'json',
+    // Files made smaller, their size before and after, and assets
+    // fingerprinted when the built site was optimized (see AssetOptimizer)
+    optimizeStats: 'json',
+    // Broken internal links found in the built site (see LinkChecker)
+    linkReport: 'json',
+    // Accessibility problems found in the built site (see
+    // AccessibilityAudit)
+    accessibilityReport: 'json',
     site: {
       model: 'site',
       required: true
@@ -40,37 +77,65 @@ module.exports = {
     if (Build.publishCreate) Build.publishCreate(model);
     // Use SQS for queue if available
     var queue = sails.config.build.sqsQueue ? SQS : this;
-    Build.findOne(model.id)
+    this.loadJob(model.id, function(err, model) {
+      if (err && done) return done(err, model);
+      if (err) return sails.log.error(err);
+      if (!model && done) return done();
+      queue.addJob(model);
+      if (done) return done();
+    });
+  },
+
+  afterUpdate: function(model) {
+    if (Build.publishUpdate) Build.publishUpdate(model.id, model);
+  },
+
+  /**
+   * Check that a branch name is one git would accept (see
+   * `git check-ref-format`), and that it can't be mistaken for an option.
+   * @param {String} branch name
+   * @returns {Boolean}
+   */
+  isValidBranch: function(name) {
+    return typeof name === 'string' && name.length > 0 && name !== '@' &&
+      !/^[-\/.]|[\/.]$|\.lock$|\/\.|\.\.|\/\/|@\{|[\x00-\x20\x7f~^:?*\[\\]/
+        .test(name);
+  },
+
+  /**
+   * Load a build with the associations needed to run it.
+   * @param {Number} id of the build
+   * @param {Function} callback with an error and the build, if found
+   */
+  loadJob: function(id, done) {
+    Build.findOne(id)
       .populate('site')
       .populate('user')
       .exec(function(err, model) {
-        if (err && done) return done(err, model);
-        if (err) return sails.log.error(err);
-        if (!model && done) return done();
+        if (err || !model) return done(err, model);
         // Additional query since we need to populate a 2nd level association
         Passport.findOne({ user: model.user.id })
           .exec(function(err, passport) {
-            if (err && done) return done(err, model);
-            if (err) return sails.log.error(err);
+            if (err) return done(err, model);
             model.user.passport = passport;
-            queue.addJob(model);
-            if (done) return done();
+            done(null, model);
           });
-    });
-  },
-
-  afterUpdate: function(model) {
-    if (Build.publishUpdate) Build.publishUpdate(model.id, model);
+      });
   },
 
   /**
    * Job queue for processing builds.
-   * An instance of [async.queue](https://github.com/caolan/async#queue)
+   * A BuildQueue in memory, or a PostgresBuildQueue shared by all of the
+   * app's instances if `config.build.queue` is 'postgres', running
+   * `config.build.concurrency` jobs at once
    */
-  queue: async.queue(function(model, done) {
+  queue: (sails.config.build.queue === 'postgres' ?
+    PostgresBuildQueue : BuildQueue)(function(model, done) {
     sails.log.verbose('Starting job: ', model.id);
     // Run the build with the appropriate engine and the model
     sails.hooks[sails.config.build.engine][model.site.engine](model, done);
+  }, sails.config.build.concurrency, function() {
+    Build.completeJob.apply(Build, arguments);
   }),
 
   /**
@@ -78,32 +143,85 @@ module.exports = {
    * @param {Build} a Build model to add to the queue
    */
   addJob: function(model) {
-
-    // Get job queue and look for matching job in the queue
     var queue = module.exports.queue,
-        jobs = _.pluck(queue.tasks, 'data'),
-        queuedJob = _.find(jobs, function(job) {
-          return job.branch === model.branch && job.site === model.site;
+        engine = sails.hooks[sails.config.build.engine],
+        sameBranch = {
+          site: model.site.id,
+          branch: model.branch,
+          before: model.id
+        };
+
+    // Replace queued jobs for the branch with the newer job
+    queue.remove(sameBranch, function(err, jobs) {
+      if (err) sails.log.error('Build queue error: ', err);
+
+      _.each(jobs, function(job) {
+        sails.log.verbose('Superseding job: ', job.id, ' => ', model.id);
+        job.supersededBy = model.id;
+        Build.completeJob(null, job, 'superseded');
+      });
+
+      // Optionally stop running jobs for the branch too
+      if (sails.config.build.cancelSuperseded) {
+        _.each(queue.runningJobs(sameBranch), function(job) {
+          sails.log.verbose('Superseding job: ', job.id, ' => ', model.id);
+          job.supersededBy = model.id;
+          engine.cancel(job, function(err) {
+            // Jobs that are already publishing run to completion
+            if (err) sails.log.verbose('Not superseding job: ', job.id, err);
+          });
         });
+      }
 
-    // If a matching job isn't in the queue, add it
-    if (!queuedJob) {
       sails.log.verbose('Adding job: ', model.id);
-      queue.push(model, this.completeJob);
-    } else {
-      sails.log.verbose('Skipping job: ', model.id);
-      this.completeJob(null, model, true);
-    }
+      queue.push(model);
+    });
 
   },
 
+  /**
+   * Cancel a job. Queued jobs are removed from the queue, and running
+   * jobs are stopped by the build engine.
+   * @param {Build} a Build model to cancel
+   * @param {Function} callback with an error if the job can't be cancelled
+   */
+  cancelJob: function(model, done) {
+    var queue = module.exports.queue;
+
+    sails.log.verbose('Cancelling job: ', model.id);
+
+    queue.remove({ id: model.id }, function(err, jobs) {
+      if (err) return done(err);
+
+      // Remove the job if it hasn't started yet
+      if (jobs.length) {
+        Build.completeJob(null, jobs[0], 'cancelled');
+        return done();
+      }
+
+      // Stop the job if it's running here
+      if (queue.runningJobs({ id: model.id }).length) {
+        return sails.hooks[sails.config.build.engine].cancel(model, done);
+      }
+
+      // Otherwise mark the build cancelled. External builders are told
+      // the build was cancelled the next time they send its output or
+      // status (see BuildController), other instances of the app stop
+      // them on their next heartbeat, and builds orphaned by a restart of
+      // the in-memory queue are cleared.
+      Build.completeJob(null, model, 'cancelled');
+      done();
+    });
+  },
+
   /**
    * Update a job after build completion.
    * @param {String} error message
    * @param {Build} a Build model to update
-   * @param {Boolean} skipped build?
+   * @param {String} (optional) state of a build that didn't run to completion,
+   *                 such as 'superseded' or 'cancelled'
    */
-  completeJob: function(err, model, skip) {
+  completeJob: function(err, model, state) {
     if (!model) return;
     sails.log.verbose('Completed job: ', model.id);
 
@@ -116,7 +234,12 @@ module.exports = {
       if (err) return next(err, model);
       next(null, model);
     } else {
-      Build.findOne(model.id).exec(function(error, model) {
+      Build.findOne(model.id).exec(function(error, loaded) {
+        // Keep the newer build that superseded a job loaded from the queue
+        if (loaded && model.supersededBy) {
+          loaded.supersededBy = model.supersededBy;
+        }
+        model = loaded;
         if (err) return next(err, model);
         if (error) return next(error, model);
         next(null, model);
@@ -126,23 +249,32 @@ module.exports = {
     function next(err, model) {
       if (err) sails.log.error('Build error: ', err);
 
+      // Ignore updates to builds that were already cancelled
+      if (model.state === 'cancelled') return;
+
       var error = err ? (err.message || err) : '';
 
       // Set job completion timestamp
       model.completedAt = new Date();
 
       // Set build state
-      model.state = (err) ? 'error' : (skip) ? 'skipped' : 'success';
+      model.state = (err) ? 'error' : state || 'success';
+
+      // Running builds cancelled by a newer build were superseded
+      if (model.state === 'cancelled' && model.supersededBy) {
+        model.state = 'superseded';
+      }
 
       // Sanitize error message
-      error = error.replace(/\/\/(.*)@github/g, '//[token_redacted]@github');
+      error = BuildLog.redact(error);
 
       // Add error message if it exists
       model.error = error;
 
       // Save updated model
       model.save(function(err) {
-        // We expect an error on first build after clone so do nothing
+        // We expect an error on first build after clone
+        if (err) sails.log.verbose('Unable to save build: ', model.id, err);
       });
 
     }
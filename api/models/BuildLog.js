@@ -0,0 +1,93 @@
+/**
+* BuildLog.js
+*
+* @description :: A chunk of output printed while running a build. The full
+*                 log of a build is its chunks in the order they were saved.
+* @docs        :: http://sailsjs.org/#!documentation/models
+*/
+
+module.exports = {
+  // Enforce model schema in the case of schemaless databases
+  schema: true,
+
+  attributes: {
+    build: {
+      model: 'build',
+      required: true
+    },
+    output: {
+      type: 'text'
+    }
+  },
+
+  afterCreate: function(model, done) {
+    // Stream new output to users watching the build
+    if (sails.sockets) {
+      sails.sockets.broadcast(BuildLog.streamRoom(model.build), 'buildlog', model);
+    }
+    done();
+  },
+
+  /**
+   * Name of the socket room for users watching a build's output.
+   * @param {Number} build id
+   * @returns {String} room name
+   */
+  streamRoom: function(build) {
+    return Build.room(build, 'log');
+  },
+
+  /**
+   * Remove access tokens from build output.
+   * @param {String} output to sanitize
+   * @param {Array} secrets (optional) other values to remove from the output
+   * @returns {String} sanitized output
+   */
+  redact: function(output, secrets) {
+    output = (output || '').toString()
+      .replace(/\/\/([^\/\s]*)@github/g, '//[token_redacted]@github');
+
+    _(secrets).compact().each(function(secret) {
+      output = output.split(secret).join('[token_redacted]');
+    });
+
+    return output;
+  },
+
+  /**
+   * Create a function that appends output to a build's log. Output written
+   * while a previous chunk is being saved is batched into the next chunk,
+   * so chunks are saved in order.
+   * @param {Build} build model the output belongs to
+   * @param {Array} secrets (optional) values to remove from the output
+   * @returns {Function} write function that takes a string of output
+   */
+  writer: function(build, secrets) {
+    var cargo = async.cargo(function(chunks, done) {
+      BuildLog.create({
+        build: build.id,
+        output: chunks.join('')
+      }, function(err) {
+        if (err) sails.log.error('Unable to save build log: ', err);
+        done();
+      });
+    });
+
+    return function write(output) {
+      output = BuildLog.redact(output, secrets);
+      if (output) cargo.push(output);
+    };
+  },
+
+  /**
+   * Find the log for a build.
+   * @param {Number} build id
+   * @param {Function} callback with error and an array of log chunks
+   */
+  findForBuild: function(build, done) {
+    BuildLog.find({ build: build })
+      .sort('id ASC')
+      .exec(done);
+  }
+
+};
@@ -5,12 +5,28 @@
 * @docs        :: http://sailsjs.org/#!documentation/models
 */
 
+var BuildConfig = require('../services/BuildConfig'),
+    SiteConfig = require('../services/SiteConfig');
+
 var DEFAULT_BUCKET = 'federalist.18f.gov.s3-website-us-east-1.amazonaws.com';
 
 module.exports = {
   // Enforce model schema in the case of schemaless databases
   schema: true,
 
+  // Custom validation types
+  types: {
+    branchName: function(value) {
+      return Build.isValidBranch(value);
+    },
+    // Custom configuration is checked against the site's engine when
+    // both are saved together, as the settings form does. Otherwise
+    // builds report invalid configuration in their error.
+    siteConfig: function(value) {
+      return !this.engine || !SiteConfig.validate(this.engine, value).length;
+    }
+  },
+
   attributes: {
     // The name of the GitHub user or organization that owns the site's repository
     owner: {
@@ -25,11 +41,12 @@ module.exports = {
     engine: {
       type: 'string',
       defaultsTo: 'static',
-      enum: ['jekyll', 'hugo', 'static']
+      enum: BuildConfig.engines
     },
     defaultBranch: {
       type: 'string',
-      defaultsTo: 'master'
+      defaultsTo: 'master',
+      branchName: true
     },
     // A collection of Federalist users who should have access to this site
     users: {
@@ -43,19 +60,48 @@ module.exports = {
     domain: {
       type: 'string'
     },
+    // Custom configuration for the site's engine (see SiteConfig)
     config: {
-      type: 'string'
+      type: 'string',
+      siteConfig: true
     },
     publicPreview: {
       type: 'boolean',
       defaultsTo: false
     },
+    // Minutes a build can run before it is stopped, overriding the
+    // engine's timeout in `config/build.js`
+    buildTimeout: {
+      type: 'integer',
+      min: 1
+    },
+    // Write a sitemap.xml and robots.txt to the built site (see Sitemap)
+    sitemap: {
+      type: 'boolean',
+      defaultsTo: false
+    },
+    // Write a search index and search widget to the built site (see
+    // SearchIndex)
+    search: {
+      type: 'boolean',
+      defaultsTo: false
+    },
+    // Fail builds that have broken internal links, instead of publishing
+    // them with a link report
+    failOnBrokenLinks: {
+      type: 'boolean',
+      defaultsTo: false
+    },
+    // Accessibility problems a build of the default branch can have and
+    // still be published. Any number can be published if it isn't set.
+    accessibilityThreshold: {
+      type: 'integer',
+      min: 0
+    },
     toJSON: function() {
-      var obj = this.toObject(),
-          config = sails.config.build || {};
+      var obj = this.toObject();
       // Add siteRoot to the API response for previews
-      obj.siteRoot = 'http://' + (config.s3Bucket ? config.s3Bucket +
-        '.s3-website-us-east-1.amazonaws.com': DEFAULT_BUCKET);
+      obj.siteRoot = module.exports.siteRoot();
 
       obj.viewLink = obj.domain || [obj.siteRoot, 'site', obj.owner, obj.repository].join('/');
 
@@ -63,6 +109,12 @@ module.exports = {
     }
   },
 
+  // Sites published to S3 are served by the app, from their live version
+  siteRoot: function() {
+    var config = sails.config.build || {};
+    return config.s3Bucket ? sails.getBaseurl() : 'http://' + DEFAULT_BUCKET;
+  },
+
   beforeCreate: function(values, done) {
     this.registerSite(values, done);
   },
@@ -8,16 +8,32 @@ module.exports = function (req, res, next) {
       association = _.find(req.options.associations, function(assoc) {
         return assoc.alias === 'users' || assoc.alias === 'user';
       }),
-      model = req.options.model,
+      model = req.options.model || req.options.controller,
       path;
 
   // Reject if not logged in
   if (!req.user) return res.forbidden('Forbidden');
 
+  // Builds are associated with the users of their site
+  if (reqID && model === 'build') {
+
+    Build.findOne({ id: reqID }).exec(function(err, build) {
+      if (err || !build) return res.forbidden('Forbidden');
+      Site.findOne({ id: build.site })
+        .populate('users')
+        .exec(function(err, site) {
+          if (err || !site) return res.forbidden('Forbidden');
+          if (_.pluck(site.users, 'id').indexOf(req.user.id) < 0) {
+            return res.forbidden('Forbidden');
+          }
+          return next();
+        });
+    });
+
   // Evaluate whether user is associated with requested model
-  if (reqID) {
+  } else if (reqID) {
 
-    sails.models[req.options.model]
+    sails.models[model]
       .findOne({ id: reqID })
       .populate(association.alias)
       .exec(function(err, model) {
@@ -0,0 +1,200 @@
+/**
+ * AccessibilityAudit
+ *
+ * @description :: Checks a built site's HTML pages for common accessibility
+ *                 problems that can be found without a browser, toward
+ *                 Section 508 compliance. Each problem is reported with the
+ *                 page it's on, the rule it breaks and the element. Passing
+ *                 the audit doesn't mean a site is accessible, since most
+ *                 problems can only be found by testing the site.
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    htmlparser = require('htmlparser2');
+
+// Form fields that don't need a label
+var UNLABELLED_INPUTS = ['button', 'hidden', 'image', 'reset', 'submit'];
+
+module.exports = {
+
+  // Rules pages are checked against, and the problem each one reports
+  rules: {
+    'image-alt': 'Image has no alt text',
+    'link-name': 'Link has no text',
+    'heading-order': 'Heading skips a level',
+    'html-lang': 'Page has no lang attribute',
+    'label': 'Form field has no label',
+    'duplicate-id': 'ID is used more than once'
+  },
+
+  // Problems listed in a report, which is saved on the build
+  maxProblems: 200,
+
+  /**
+   * Audit the pages in a built site.
+   * @param {String} directory of the built site
+   * @param {Function} callback with an error and the report: the number of
+   *                   `pages` audited and `violations` found, and the
+   *                   `problems`, as `{ page: page, rule: rule,
+   *                   message: message }`
+   */
+  audit: function(dir, done) {
+    var service = module.exports;
+
+    SiteFiles.list(dir, function(err, list) {
+      if (err) return done(err);
+
+      var pages = SiteFiles.pages(list);
+
+      async.mapLimit(pages, 10, function(file, next) {
+        fs.readFile(path.join(dir, file), 'utf8', function(err, html) {
+          if (err) return next(err);
+          next(null, _.map(service.check(html), function(problem) {
+            return _.extend({ page: '/' + file }, problem);
+          }));
+        });
+      }, function(err, problems) {
+        if (err) return done(err);
+
+        problems = _.flatten(problems);
+        done(null, {
+          pages: pages.length,
+          violations: problems.length,
+          problems: problems.slice(0, service.maxProblems)
+        });
+      });
+    });
+  },
+
+  /**
+   * Check a page against the rules.
+   * @param {String} HTML
+   * @returns {Array} problems, as `{ rule: rule, message: message }`
+   */
+  check: function(html) {
+    var problems = [],
+        ids = {},
+        labels = {},
+        fields = [],
+        links = [],
+        labelDepth = 0,
+        heading = 0,
+        lang = false,
+        parser;
+
+    function problem(rule, detail) {
+      problems.push({
+        rule: rule,
+        message: module.exports.rules[rule] + ': ' + detail
+      });
+    }
+
+    parser = new htmlparser.Parser({
+      onopentag: function(name, attributes) {
+        var level = /^h([1-6])$/.exec(name),
+            named = hasName(attributes);
+
+        if (_.has(attributes, 'id')) {
+          ids[attributes.id] = (ids[attributes.id] || 0) + 1;
+          if (ids[attributes.id] === 2) {
+            problem('duplicate-id', describe(name, attributes));
+          }
+        }
+
+        if (name === 'html') lang = !!(attributes.lang || '').trim();
+
+        // Images without alt text, and images that name a link
+        if (name === 'img' || name === 'area' ||
+            (name === 'input' && attributes.type === 'image')) {
+          if (!_.has(attributes, 'alt') && !named &&
+              !_.contains(['presentation', 'none'], attributes.role)) {
+            problem('image-alt', describe(name, attributes));
+          }
+          if ((attributes.alt || '').trim() || named) nameLinks(links);
+        }
+
+        // Only links with an href need text, but every link is closed
+        if (name === 'a') {
+          links.push(_.has(attributes, 'href') ? {
+            element: describe(name, attributes),
+            named: named
+          } : { named: true });
+        }
+
+        if (level) {
+          level = Number(level[1]);
+          if (heading && level > heading + 1) {
+            problem('heading-order', 'h' + level + ' follows h' + heading);
+          }
+          heading = level;
+        }
+
+        if (name === 'label') {
+          labelDepth++;
+          if (attributes['for']) labels[attributes['for']] = true;
+        }
+
+        // Fields inside a label are labelled by it, and others need a
+        // label for their id
+        if ((name === 'input' &&
+              !_.contains(UNLABELLED_INPUTS, attributes.type)) ||
+            name === 'select' || name === 'textarea') {
+          if (!labelDepth && !named) {
+            fields.push({
+              id: attributes.id,
+              element: describe(name, attributes)
+            });
+          }
+        }
+      },
+      ontext: function(text) {
+        if (text.trim()) nameLinks(links);
+      },
+      onclosetag: function(name) {
+        var link;
+
+        if (name === 'a' && links.length) {
+          link = links.pop();
+          if (!link.named) problem('link-name', link.element);
+        }
+        if (name === 'label' && labelDepth) labelDepth--;
+      },
+      onend: function() {
+        _.each(fields, function(field) {
+          if (!field.id || !labels[field.id]) {
+            problem('label', field.element);
+          }
+        });
+        if (!lang) problem('html-lang', '<html>');
+      }
+    }, { decodeEntities: true });
+
+    parser.end(html);
+    return problems;
+  }
+
+};
+
+// Text and images in links name them
+function nameLinks(links) {
+  _.each(links, function(link) {
+    link.named = true;
+  });
+}
+
+// Elements can be named for assistive technology by their attributes
+function hasName(attributes) {
+  return !!((attributes['aria-label'] || '').trim() ||
+    attributes['aria-labelledby'] || (attributes.title || '').trim());
+}
+
+// Describe an element by its name and the attribute that best identifies it
+function describe(name, attributes) {
+  var attribute = _.find(['id', 'name', 'src', 'href'], function(attribute) {
+    return attributes[attribute];
+  });
+
+  return '<' + name + (attribute ?
+    ' ' + attribute + '="' + attributes[attribute] + '"' : '') + '>';
+}
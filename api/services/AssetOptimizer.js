@@ -0,0 +1,288 @@
+/**
+ * AssetOptimizer
+ *
+ * @description :: Makes a built site's files smaller before it's published:
+ *                 minifies HTML, CSS and JavaScript, and losslessly
+ *                 recompresses PNG and JPEG images with `optipng` and
+ *                 `jpegtran`. Sites that opt in also get fingerprinted
+ *                 copies of their assets, named for their content, such as
+ *                 `css/site.1a2b3c4d.css`, which their pages and
+ *                 stylesheets link to instead, so browsers can cache them
+ *                 for as long as they like. The original assets are kept
+ *                 for anything else that links to them.
+ */
+
+var crypto = require('crypto'),
+    execFile = require('child_process').execFile,
+    fs = require('fs'),
+    path = require('path'),
+    CleanCSS = require('clean-css'),
+    htmlMinifier = require('html-minifier'),
+    UglifyJS = require('uglify-js');
+
+// Assets that are fingerprinted, and assets that already are
+var ASSETS = /\.(css|js|png|jpe?g|gif|svg|webp|woff2?|ttf|eot|otf)$/i,
+    FINGERPRINTED = /\.[0-9a-f]{8}\.[^.\/]+$/;
+
+// Links to assets in pages, and in stylesheets
+var HTML_LINKS = /(\s(href|src|srcset|poster|data)\s*=\s*)(["'])([\s\S]*?)\3/gi,
+    CSS_LINKS = /(url\(\s*)(["']?)([^"')]+)\2(\s*\))/gi;
+
+module.exports = {
+
+  /**
+   * Optimize the files in a built site, in place.
+   * @param {String} directory of the built site
+   * @param {Object} options: the site's `baseurl`, and whether to
+   *                 `fingerprint` its assets
+   * @param {Function} callback with an error, the stats: the number of
+   *                   `files` that were made smaller, their total size
+   *                   `before` and `after`, and the number of assets that
+   *                   were `fingerprinted`, and warnings about files that
+   *                   couldn't be optimized
+   */
+  optimize: function(dir, options, done) {
+    var warnings = [],
+        stats = { files: 0, before: 0, after: 0, fingerprinted: 0 };
+
+    SiteFiles.list(dir, function(err, files) {
+      if (err) return done(err);
+
+      files = _.reject(files, function(file) {
+        return /(^|\/)\./.test(file);
+      });
+
+      async.eachLimit(files, 4, function(file, next) {
+        optimizeFile(dir, file, warnings, function(err, before, after) {
+          if (err) return next(err);
+          if (after < before) stats.files++;
+          stats.before += before;
+          stats.after += after;
+          next();
+        });
+      }, function(err) {
+        if (err || !options.fingerprint) {
+          return done(err, stats, _.uniq(warnings));
+        }
+
+        fingerprint(dir, files, options.baseurl, function(err, count) {
+          stats.fingerprinted = count;
+          done(err, stats, _.uniq(warnings));
+        });
+      });
+    });
+  },
+
+  /**
+   * Minify a page, stylesheet or script.
+   * @param {String} type of file: `html`, `css` or `js`
+   * @param {String} content
+   * @returns {String} minified content
+   * @throws {Error} if the content can't be parsed
+   */
+  minify: function(type, content) {
+    var service = module.exports,
+        minifier;
+
+    if (type === 'html') {
+      return htmlMinifier.minify(content, {
+        collapseWhitespace: true,
+        conservativeCollapse: true,
+        removeComments: true,
+        minifyCSS: function(css) {
+          return service.minify('css', css);
+        },
+        minifyJS: function(js) {
+          return service.minify('js', js);
+        }
+      });
+    }
+
+    if (type === 'css') {
+      minifier = new CleanCSS({
+        processImport: false,
+        noRebase: true,
+        noAdvanced: true
+      });
+      content = minifier.minify(content);
+      if (minifier.errors.length) throw new Error(minifier.errors[0]);
+      return content;
+    }
+
+    // Keep license comments
+    return UglifyJS.minify(content, {
+      fromString: true,
+      output: { comments: /^!|@preserve|@license/ }
+    }).code;
+  },
+
+  /**
+   * Add a fingerprint to a link to an asset, keeping the rest of the link.
+   * @param {String} link
+   * @param {String} fingerprint
+   * @returns {String} link
+   */
+  fingerprintLink: function(link, hash) {
+    return link.replace(/[^\/?#]+(?=[?#]|$)/, function(name) {
+      return name.replace(/(\.[^.]+)$/, '.' + hash + '$1');
+    });
+  }
+
+};
+
+// Optimize a file, calling back with its size before and after
+function optimizeFile(dir, file, warnings, done) {
+  var type = (/\.([a-z]+)$/i.exec(file) || [])[1],
+      minified = /\.min\.[a-z]+$/i.test(file),
+      full = path.join(dir, file);
+
+  type = type && type.toLowerCase();
+
+  if (type === 'htm' || type === 'html') return minifyFile('html');
+  if ((type === 'css' || type === 'js') && !minified) return minifyFile(type);
+  if (type === 'png') return recompress('optipng', ['-quiet', '-o2', full]);
+  if (type === 'jpg' || type === 'jpeg') {
+    return recompress('jpegtran', ['-copy', 'all', '-optimize',
+      '-outfile', full + '.optimized', full], full + '.optimized');
+  }
+  done(null, 0, 0);
+
+  function minifyFile(type) {
+    fs.readFile(full, 'utf8', function(err, content) {
+      var before = Buffer.byteLength(content || ''),
+          optimized;
+
+      if (err) return done(err);
+
+      try {
+        optimized = module.exports.minify(type, content);
+      } catch (e) {
+        warnings.push('Unable to minify ' + file + ': ' + e.message);
+        return done(null, before, before);
+      }
+
+      if (Buffer.byteLength(optimized) >= before) {
+        return done(null, before, before);
+      }
+      fs.writeFile(full, optimized, function(err) {
+        done(err, before, Buffer.byteLength(optimized));
+      });
+    });
+  }
+
+  // Image tools write the file in place, or to an output file that
+  // replaces it if it's smaller
+  function recompress(command, args, output) {
+    fs.stat(full, function(err, original) {
+      if (err) return done(err);
+
+      execFile(command, args, function(err) {
+        if (err) {
+          warnings.push(err.code === 'ENOENT' ?
+            command + ' isn\'t installed, so some images weren\'t optimized' :
+            'Unable to optimize ' + file + ': ' + err.message.trim());
+          if (output) return fs.unlink(output, finish);
+          return finish();
+        }
+        if (!output) return finish();
+
+        fs.stat(output, function(err, stats) {
+          if (err || stats.size >= original.size) {
+            return fs.unlink(output, finish);
+          }
+          fs.rename(output, full, finish);
+        });
+      });
+
+      function finish() {
+        fs.stat(full, function(err, stats) {
+          done(err, original.size, stats && stats.size);
+        });
+      }
+    });
+  }
+}
+
+// Copy assets to fingerprinted names, then link pages and stylesheets to
+// the copies, calling back with the number of assets fingerprinted
+function fingerprint(dir, files, baseurl, done) {
+  var hashes = {},
+      assets = _.filter(files, function(file) {
+        return ASSETS.test(file) && !FINGERPRINTED.test(file);
+      }),
+      stylesheets = _.filter(assets, function(file) {
+        return /\.css$/i.test(file);
+      });
+
+  // Stylesheets are fingerprinted after the assets they link to, since
+  // linking to them changes their content
+  async.series([
+    async.eachLimit.bind(async, _.difference(assets, stylesheets), 4,
+      function(file, next) {
+        copy(file, null, next);
+      }),
+    async.eachLimit.bind(async, stylesheets, 4, function(file, next) {
+      copy(file, relink, next);
+    }),
+    async.eachLimit.bind(async, SiteFiles.pages(files), 4,
+      function(file, next) {
+        fs.readFile(path.join(dir, file), 'utf8', function(err, content) {
+          if (err) return next(err);
+          fs.writeFile(path.join(dir, file), relink(content, file), next);
+        });
+      })
+  ], function(err) {
+    done(err, _.size(hashes));
+  });
+
+  function copy(file, transform, next) {
+    fs.readFile(path.join(dir, file), function(err, content) {
+      var hash;
+
+      if (err) return next(err);
+
+      if (transform) content = transform(content.toString(), file);
+      hash = crypto.createHash('sha1').update(content).digest('hex')
+        .slice(0, 8);
+      fs.writeFile(path.join(dir, path.dirname(file),
+        module.exports.fingerprintLink(path.basename(file), hash)), content,
+        function(err) {
+          hashes['/' + file] = hash;
+          next(err);
+        });
+    });
+  }
+
+  // Link a page or stylesheet to the fingerprinted assets
+  function relink(content, file) {
+    var page = '/' + file;
+
+    return content.replace(HTML_LINKS, function(match, before, name, quote,
+        value) {
+      // Each image in a srcset is a URL and a size
+      var links = name.toLowerCase() === 'srcset' ?
+        _.map(value.split(','), function(candidate) {
+          return candidate.replace(/^(\s*)(\S+)/, function(match, space, link) {
+            return space + relinkOne(link, page);
+          });
+        }).join(',') : relinkOne(value, page);
+
+      return before + quote + links + quote;
+    }).replace(CSS_LINKS, function(match, before, quote, link, after) {
+      return before + quote + relinkOne(link, page) + quote + after;
+    });
+  }
+
+  function relinkOne(link, page) {
+    var file;
+
+    try {
+      file = LinkChecker.resolve(link.trim(), page, baseurl);
+    } catch (err) {
+      return link;
+    }
+
+    return hashes[file] ?
+      module.exports.fingerprintLink(link, hashes[file]) : link;
+  }
+}
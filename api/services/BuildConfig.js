@@ -0,0 +1,207 @@
+/**
+ * BuildConfig
+ *
+ * @description :: Build settings a site declares in a `federalist.json` or
+ *                 `.federalist.yml` file in its repository:
+ *
+ *                 engine   one of the site engines, instead of the site's
+ *                 command  a shell command that builds the site, run in the
+ *                          repository, instead of the engine's command
+ *                 script   the npm script that builds the site, for the
+ *                          node engine
+ *                 output   the directory the site is built to, relative to
+ *                          the repository
+ *                 config   extra config files for the engine
+ *                 ignore   files and directories not to publish, relative
+ *                          to the output directory
+ *                 env      environment variables for the build command
+ *                 headers  response headers for files in the site (see
+ *                          HeaderRules)
+ *                 optimize `false` not to minify and recompress the
+ *                          built site's files (see AssetOptimizer)
+ *                 fingerprint
+ *                          `true` to link the site's pages to copies of
+ *                          its assets named for their content
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    YAML = require('yamljs'),
+    HeaderRules = require('./HeaderRules');
+
+module.exports = {
+
+  // Config files, in the order they're looked for
+  files: ['federalist.json', '.federalist.yml'],
+
+  // Engines a site can be built with
+  engines: ['jekyll', 'hugo', 'static', 'node'],
+
+  /**
+   * Read the build config from a cloned repository.
+   * @param {String} directory of the repository
+   * @param {Function} callback with an error if the config is invalid, and
+   *                   the config, or the defaults if there's no file
+   */
+  read: function(dir, done) {
+    var files = module.exports.files;
+
+    async.detectSeries(files, function(file, next) {
+      fs.exists(path.join(dir, file), next);
+    }, function(file) {
+      if (!file) return done(null, module.exports.normalize({}));
+      fs.readFile(path.join(dir, file), 'utf8', function(err, content) {
+        if (err) return done(err);
+        module.exports.parse(file, content, done);
+      });
+    });
+  },
+
+  /**
+   * Fetch the build config for a build from GitHub.
+   * @param {Build} build model, with its site and user populated
+   * @param {Function} callback as for `read`
+   */
+  fetch: function(model, done) {
+    var files = module.exports.files,
+        token = model.user.passport && model.user.passport.tokens.accessToken,
+        owner = model.source ? model.source.owner : model.site.owner,
+        repository = model.source ? model.source.repository :
+          model.site.repository,
+        content;
+
+    async.detectSeries(files, function(file, next) {
+      GitHub.getFile(token, owner, repository, file, model.branch,
+        function(err, data) {
+          content = data;
+          next(!!(err || data));
+        });
+    }, function(file) {
+      if (!file) return done(null, module.exports.normalize({}));
+      if (typeof content !== 'string') {
+        return done(new Error('Unable to read ' + file));
+      }
+      module.exports.parse(file, content, done);
+    });
+  },
+
+  /**
+   * Parse and validate a build config file.
+   * @param {String} name of the file
+   * @param {String} content of the file
+   * @param {Function} callback as for `read`
+   */
+  parse: function(file, content, done) {
+    var config, errors;
+
+    try {
+      config = /\.json$/.test(file) ? JSON.parse(content) : YAML.parse(content);
+    } catch (err) {
+      return done(new Error('Unable to parse ' + file + ': ' + err.message));
+    }
+
+    // Empty files have no settings
+    if (config === null || config === undefined) config = {};
+
+    errors = module.exports.validate(config);
+    if (errors.length) {
+      return done(new Error('Invalid ' + file + ': ' + errors.join('; ')));
+    }
+
+    done(null, module.exports.normalize(config));
+  },
+
+  /**
+   * Check a build config against the schema.
+   * @param {Object} config
+   * @returns {Array} error messages
+   */
+  validate: function(config) {
+    var errors = [],
+        engines = module.exports.engines,
+        settings = [
+          'engine', 'command', 'script', 'output', 'config', 'ignore', 'env',
+          'headers', 'optimize', 'fingerprint'
+        ];
+
+    if (!_.isPlainObject(config)) return ['must be an object of settings'];
+
+    _.each(_.difference(_.keys(config), settings), function(key) {
+      errors.push('unknown setting "' + key + '"');
+    });
+
+    if (_.has(config, 'engine') && !_.contains(engines, config.engine)) {
+      errors.push('engine must be one of ' + engines.join(', '));
+    }
+
+    if (_.has(config, 'command') &&
+        (!_.isString(config.command) || !config.command.trim())) {
+      errors.push('command must be a string');
+    }
+
+    if (_.has(config, 'script') &&
+        (!_.isString(config.script) || !/^[\w:.-]+$/.test(config.script))) {
+      errors.push('script must be the name of an npm script');
+    }
+
+    if (_.has(config, 'output') && !isRelativePath(config.output)) {
+      errors.push('output must be a path inside the repository');
+    }
+
+    _.each(['config', 'ignore'], function(key) {
+      if (!_.has(config, key)) return;
+      if (!_.every([].concat(config[key]), isRelativePath)) {
+        errors.push(key + ' must be a path or list of paths inside the ' +
+          'repository');
+      }
+    });
+
+    if (_.has(config, 'env')) {
+      if (!_.isPlainObject(config.env)) {
+        errors.push('env must be an object of variables');
+      } else {
+        _.each(config.env, function(value, name) {
+          if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            errors.push('env variable "' + name + '" has an invalid name');
+          }
+          if (!_.isString(value) && !_.isNumber(value) && !_.isBoolean(value)) {
+            errors.push('env variable "' + name + '" must be a string');
+          }
+        });
+      }
+    }
+
+    _.each(['optimize', 'fingerprint'], function(key) {
+      if (_.has(config, key) && !_.isBoolean(config[key])) {
+        errors.push(key + ' must be true or false');
+      }
+    });
+
+    if (_.has(config, 'headers')) {
+      errors = errors.concat(HeaderRules.validate(config.headers));
+    }
+
+    return errors;
+  },
+
+  /**
+   * Fill in defaults for a valid build config.
+   * @param {Object} config
+   * @returns {Object} config
+   */
+  normalize: function(config) {
+    return _.extend({}, config, {
+      config: config.config ? [].concat(config.config) : [],
+      ignore: config.ignore ? [].concat(config.ignore) : [],
+      env: _.mapValues(config.env || {}, String),
+      headers: config.headers || {}
+    });
+  }
+
+};
+
+// Paths must stay inside the repository
+function isRelativePath(value) {
+  return _.isString(value) && value.length > 0 && !path.isAbsolute(value) &&
+    !_.contains(value.split(/[\/\\]/), '..');
+}
@@ -0,0 +1,166 @@
+/**
+ * BuildQueue
+ *
+ * @description :: A job queue for builds. Default branch builds run before
+ *                 preview builds, and sites take turns so that one busy
+ *                 site can't hold up builds for the others. Jobs for the
+ *                 same priority and site run in the order they were added,
+ *                 and only one job for each branch of a site runs at once,
+ *                 so builds of a branch are published in order.
+ */
+
+/**
+ * Create a build queue.
+ * @param {Function} worker function called with a job and a callback
+ * @param {Number} (optional) number of jobs to run at once, defaults to 1
+ * @param {Function} (optional) called with the worker's results for jobs
+ *                   added without a callback
+ * @returns {Object} queue
+ */
+module.exports = function BuildQueue(worker, concurrency, complete) {
+  var turn = 0,
+      lastTurns = {},
+      queue = {
+        // Waiting jobs, as `{ data: job, callback: callback }`
+        tasks: [],
+        // Running jobs
+        running: [],
+        concurrency: concurrency || 1,
+        paused: false,
+
+        /**
+         * Add a job to the queue.
+         * @param {Build} job
+         * @param {Function} (optional) called with the worker's results
+         */
+        push: function(data, callback) {
+          queue.tasks.push({ data: data, callback: callback || complete });
+          setImmediate(queue.process);
+        },
+
+        /**
+         * Remove waiting jobs.
+         * @param {Object} criteria to match jobs by `id`, `site`, `branch`,
+         *                 or ids `before` a given id
+         * @param {Function} callback with an error and the removed jobs
+         */
+        remove: function(criteria, done) {
+          var removed = _.filter(queue.tasks, function(task) {
+            return matches(task.data, criteria);
+          });
+          queue.tasks = _.difference(queue.tasks, removed);
+          done(null, _.pluck(removed, 'data'));
+        },
+
+        /**
+         * Find running jobs.
+         * @param {Object} criteria as for `remove`
+         * @returns {Array} jobs
+         */
+        runningJobs: function(criteria) {
+          return _(queue.running).pluck('data').filter(function(job) {
+            return matches(job, criteria);
+          }).value();
+        },
+
+        pause: function() {
+          queue.paused = true;
+        },
+
+        resume: function() {
+          queue.paused = false;
+          setImmediate(queue.process);
+        },
+
+        length: function() {
+          return queue.tasks.length;
+        },
+
+        /**
+         * Start waiting jobs until the queue is at its concurrency.
+         */
+        process: function() {
+          var task;
+
+          while (!queue.paused && queue.tasks.length &&
+              queue.running.length < queue.concurrency) {
+            task = queue.next();
+            if (!task) return;
+            queue.tasks.splice(queue.tasks.indexOf(task), 1);
+            start(task);
+          }
+        },
+
+        /**
+         * Find the waiting job that should run next, skipping jobs for
+         * branches that already have a job running.
+         * @returns {Object} task, or nothing if every job has to wait
+         */
+        next: function() {
+          return _.reduce(_.reject(queue.tasks, function(task) {
+            return queue.runningJobs({
+              site: siteId(task.data),
+              branch: task.data.branch
+            }).length;
+          }), function(next, task) {
+            return compare(task, next) < 0 ? task : next;
+          });
+        }
+      };
+
+  // Compare jobs by priority, then running jobs for their site, then how
+  // recently their site had a turn. Equal jobs stay in the order added.
+  function compare(a, b) {
+    var siteA = siteId(a.data),
+        siteB = siteId(b.data);
+
+    return (isPreview(a.data) - isPreview(b.data)) ||
+      (runningForSite(siteA) - runningForSite(siteB)) ||
+      ((lastTurns[siteA] || 0) - (lastTurns[siteB] || 0));
+  }
+
+  function start(task) {
+    var called = false;
+
+    queue.running.push(task);
+    lastTurns[siteId(task.data)] = ++turn;
+
+    worker(task.data, function() {
+      if (called) return;
+      called = true;
+      queue.running.splice(queue.running.indexOf(task), 1);
+      if (task.callback) task.callback.apply(null, arguments);
+      queue.process();
+    });
+  }
+
+  function runningForSite(site) {
+    return _.filter(queue.running, function(task) {
+      return siteId(task.data) === site;
+    }).length;
+  }
+
+  return queue;
+};
+
+/**
+ * Check whether a job matches criteria for `BuildQueue#remove`.
+ * @param {Build} job
+ * @param {Object} criteria
+ * @returns {Boolean}
+ */
+var matches = module.exports.matches = function(job, criteria) {
+  return (!criteria.id || job.id === criteria.id) &&
+    (!criteria.site || siteId(job) === criteria.site) &&
+    (!criteria.branch || job.branch === criteria.branch) &&
+    (!criteria.before || job.id < criteria.before);
+};
+
+function siteId(job) {
+  return (job.site && job.site.id) || job.site;
+}
+
+function isPreview(job) {
+  return !!(job.site && job.site.defaultBranch &&
+    job.branch !== job.site.defaultBranch);
+}
@@ -120,6 +120,36 @@ module.exports = {
     });
   },
 
+  /*
+   * Get the content of a file in a repository
+   * @param {string} access token
+   * @param {string} repository owner
+   * @param {string} repository name
+   * @param {string} path of the file
+   * @param {string} branch, tag or commit
+   * @param {Function} callback function, with null content if the file
+   *                   doesn't exist
+   */
+  getFile: function(token, owner, repository, path, ref, done) {
+
+    // Authenticate request with user's oauth token
+    github.authenticate({
+      type: 'oauth',
+      token: token
+    });
+
+    github.repos.getContent({
+      user: owner,
+      repo: repository,
+      path: path,
+      ref: ref
+    }, function(err, file) {
+      if (err && err.code === 404) return done(null, null);
+      if (err) return done(err);
+      done(null, new Buffer(file.content, file.encoding).toString('utf8'));
+    });
+  },
+
   /*
    * Check user permissions
    * @param {object} user model
@@ -0,0 +1,135 @@
+/**
+ * HeaderRules
+ *
+ * @description :: Response headers a site sets for its files with the
+ *                 `headers` setting in its build config. Each rule maps a
+ *                 pattern for file paths in the site to headers:
+ *
+ *                 { "/assets/**": { "Cache-Control": "max-age=31536000" },
+ *                   "/**": { "X-Frame-Options": "DENY" } }
+ *
+ *                 In patterns, `*` matches any characters except `/`, `**`
+ *                 matches any characters, and `?` matches one character.
+ *                 Every rule that matches a file applies, and later rules
+ *                 take precedence. Headers are stored as object properties
+ *                 and metadata in S3, and with the version for local sites.
+ */
+
+module.exports = {
+
+  // File in a local version of a site that its header rules are saved to
+  file: '.federalist-headers.json',
+
+  // Headers that S3 stores as properties of an object. Other headers are
+  // stored as metadata, prefixed with `header-`.
+  s3Properties: {
+    'cache-control': 'CacheControl',
+    'content-disposition': 'ContentDisposition',
+    'content-language': 'ContentLanguage',
+    'content-type': 'ContentType'
+  },
+
+  // Headers that are set by publishing and serving sites, not by rules
+  reserved: ['content-encoding', 'content-length', 'transfer-encoding'],
+
+  /**
+   * Check header rules.
+   * @param {Object} rules
+   * @returns {Array} error messages
+   */
+  validate: function(rules) {
+    var errors = [],
+        reserved = module.exports.reserved;
+
+    if (!_.isPlainObject(rules)) return ['headers must be an object of rules'];
+
+    _.each(rules, function(headers, pattern) {
+      if (pattern.charAt(0) !== '/') {
+        errors.push('headers pattern "' + pattern + '" must start with /');
+      }
+      if (!_.isPlainObject(headers)) {
+        return errors.push('headers for "' + pattern + '" must be an object');
+      }
+      _.each(headers, function(value, name) {
+        if (!/^[A-Za-z0-9-]+$/.test(name)) {
+          errors.push('header "' + name + '" has an invalid name');
+        } else if (_.contains(reserved, name.toLowerCase())) {
+          errors.push('header "' + name + '" can\'t be set');
+        }
+        if (!_.isString(value) && !_.isNumber(value)) {
+          errors.push('header "' + name + '" must be a string');
+        }
+      });
+    });
+
+    return errors;
+  },
+
+  /**
+   * Find the headers for a file.
+   * @param {Object} rules
+   * @param {String} path of the file in the site, starting with `/`
+   * @returns {Object} headers, by lower case name
+   */
+  match: function(rules, file) {
+    return _.reduce(rules, function(matched, headers, pattern) {
+      if (!module.exports.pattern(pattern).test(file)) return matched;
+      _.each(headers, function(value, name) {
+        matched[name.toLowerCase()] = String(value);
+      });
+      return matched;
+    }, {});
+  },
+
+  /**
+   * Convert a pattern for file paths to a regular expression.
+   * @param {String} pattern
+   * @returns {RegExp}
+   */
+  pattern: function(pattern) {
+    var source = pattern.replace(/\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g,
+      function(token) {
+        return token === '**/' ? '(?:.*/)?' :
+          token === '**' ? '.*' :
+          token === '*' ? '[^/]*' :
+          token === '?' ? '[^/]' : '\\' + token;
+      });
+
+    return new RegExp('^' + source + '$');
+  },
+
+  /**
+   * Convert headers to parameters for an S3 object.
+   * @param {Object} headers, by lower case name
+   * @returns {Object} parameters
+   */
+  toS3: function(headers) {
+    var params = {},
+        properties = module.exports.s3Properties;
+
+    _.each(headers, function(value, name) {
+      if (properties[name]) {
+        params[properties[name]] = value;
+      } else {
+        params.Metadata = params.Metadata || {};
+        params.Metadata['header-' + name] = value;
+      }
+    });
+
+    return params;
+  },
+
+  /**
+   * Convert the headers of an S3 object to the headers to serve it with,
+   * replacing the metadata that header rules are stored as with headers.
+   * @param {Object} headers from S3
+   * @returns {Object} headers
+   */
+  fromS3: function(headers) {
+    return _.transform(headers, function(result, value, name) {
+      var match = /^x-amz-meta-header-(.+)$/i.exec(name);
+      result[match ? match[1].toLowerCase() : name] = value;
+    }, {});
+  }
+
+};
@@ -0,0 +1,175 @@
+/**
+ * LinkChecker
+ *
+ * @description :: Finds broken internal links in a built site. Links and
+ *                 asset references in the site's HTML pages are resolved
+ *                 against its base URL, and each one that isn't a file or
+ *                 redirect in the site is reported with the page it's on
+ *                 and the reason it's broken. Links to other sites aren't
+ *                 checked.
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    url = require('url'),
+    htmlparser = require('htmlparser2');
+
+// Attributes that link to other files, by element
+var ATTRIBUTES = {
+  a: ['href'],
+  area: ['href'],
+  audio: ['src'],
+  embed: ['src'],
+  iframe: ['src'],
+  img: ['src', 'srcset'],
+  input: ['src'],
+  link: ['href'],
+  object: ['data'],
+  script: ['src'],
+  source: ['src', 'srcset'],
+  track: ['src'],
+  video: ['src', 'poster']
+};
+
+module.exports = {
+
+  // Broken links listed in a report, which is saved on the build
+  maxProblems: 200,
+
+  /**
+   * Check the links in a built site.
+   * @param {String} directory of the built site
+   * @param {Object} options: the site's `baseurl`, and its `redirects`
+   * @param {Function} callback with an error and the report: the number of
+   *                   `pages` and internal `links` checked, the number of
+   *                   `broken` links, and the `problems`, as
+   *                   `{ page: page, link: link, reason: reason }`
+   */
+  check: function(dir, options, done) {
+    var service = module.exports;
+
+    SiteFiles.list(dir, function(err, list) {
+      if (err) return done(err);
+
+      var site = _.object(_.map(list, function(file) {
+            return ['/' + file, true];
+          })),
+          pages = SiteFiles.pages(list),
+          links = 0;
+
+      async.mapLimit(pages, 10, function(file, next) {
+        fs.readFile(path.join(dir, file), 'utf8', function(err, html) {
+          var page = '/' + file;
+
+          if (err) return next(err);
+
+          next(null, _(service.links(html)).uniq().map(function(link) {
+            var reason = service.problem(link, page, site, options);
+            if (reason !== undefined) links++;
+            return reason && { page: page, link: link, reason: reason };
+          }).compact().value());
+        });
+      }, function(err, problems) {
+        if (err) return done(err);
+
+        problems = _.flatten(problems);
+        done(null, {
+          pages: pages.length,
+          links: links,
+          broken: problems.length,
+          problems: problems.slice(0, service.maxProblems)
+        });
+      });
+    });
+  },
+
+  /**
+   * Find the links and asset references in a page.
+   * @param {String} HTML
+   * @returns {Array} URLs, as they're written in the page
+   */
+  links: function(html) {
+    var links = [],
+        parser = new htmlparser.Parser({
+          onopentag: function(name, attributes) {
+            _.each(ATTRIBUTES[name], function(attribute) {
+              var value = attributes[attribute];
+
+              if (!value) return;
+              if (attribute !== 'srcset') return links.push(value.trim());
+
+              // Each image in a srcset is a URL and a size
+              _.each(value.split(','), function(candidate) {
+                candidate = candidate.trim().split(/\s+/)[0];
+                if (candidate) links.push(candidate);
+              });
+            });
+          }
+        }, { decodeEntities: true });
+
+    parser.end(html);
+    return links;
+  },
+
+  /**
+   * Check a link in a page.
+   * @param {String} link
+   * @param {String} page the link is in, relative to the site
+   * @param {Object} files in the site, by path
+   * @param {Object} options as for `check`
+   * @returns {String} the reason the link is broken, an empty string if it
+   *                   isn't, or nothing if it's not an internal link
+   */
+  problem: function(link, page, site, options) {
+    var file, index;
+
+    try {
+      file = module.exports.resolve(link, page, options.baseurl);
+    } catch (err) {
+      return err.message;
+    }
+    if (file === undefined) return;
+
+    // Directories are served from their index.html
+    index = file.replace(/\/?$/, '/index.html');
+    if (site[file] || site[index] || Redirects.match(options.redirects, file) ||
+        (file.slice(-1) === '/' && Redirects.match(options.redirects, index))) {
+      return '';
+    }
+
+    return 'not found';
+  },
+
+  /**
+   * Find the path in a site that an internal link points to.
+   * @param {String} link
+   * @param {String} page the link is in, relative to the site
+   * @param {String} baseurl of the site
+   * @returns {String} path, relative to the site, or nothing if it's not
+   *                   an internal link
+   * @throws {Error} if the link is invalid, or outside the site
+   */
+  resolve: function(link, page, baseurl) {
+    var file;
+
+    baseurl = baseurl || '';
+
+    // Links to other sites, other schemes and the same page
+    if (!link || link.charAt(0) === '#' || /^[a-z][a-z0-9+.-]*:/i.test(link) ||
+        link.slice(0, 2) === '//') return;
+
+    try {
+      file = decodeURIComponent(url.parse(url.resolve(baseurl + page,
+        link)).pathname || '/');
+    } catch (err) {
+      throw new Error('invalid URL');
+    }
+
+    if (file !== baseurl && file.indexOf(baseurl + '/') !== 0) {
+      throw new Error('not under the site\'s base URL, ' + baseurl);
+    }
+
+    return file.slice(baseurl.length) || '/';
+  }
+
+};
@@ -0,0 +1,233 @@
+/**
+ * PostgresBuildQueue
+ *
+ * @description :: A build queue kept in the build table, so that queued
+ *                 builds survive restarts and each build runs on exactly
+ *                 one of the app's instances. Instances claim waiting
+ *                 builds with a lease, and renew the lease with heartbeats
+ *                 while they run them. Builds whose lease runs out, such as
+ *                 builds left running by a restarted instance, are claimed
+ *                 and run again by the next instance with a free slot.
+ *
+ *                 Uses `FOR UPDATE SKIP LOCKED`, which needs Postgres 9.5.
+ */
+
+var crypto = require('crypto'),
+    os = require('os'),
+    matches = require('./BuildQueue').matches;
+
+// Waiting builds, and builds whose lease ran out, in the same order as
+// BuildQueue: default branch builds first, then sites with the fewest
+// running builds, then oldest first. Like BuildQueue, builds of a branch
+// wait while another build of the branch is running.
+var CLAIM = [
+  'UPDATE build SET "lockedBy" = $1, "heartbeatAt" = now()',
+  'WHERE id = (',
+  '  SELECT build.id FROM build',
+  '  JOIN site ON site.id = build.site',
+  '  WHERE build.state = \'processing\' AND (build."lockedBy" IS NULL OR',
+  '    build."heartbeatAt" < now() - $2 * interval \'1 second\')',
+  '  AND NOT EXISTS (SELECT 1 FROM build running',
+  '    WHERE running.site = build.site AND running.branch = build.branch',
+  '      AND running.id <> build.id AND running.state = \'processing\'',
+  '      AND running."lockedBy" IS NOT NULL',
+  '      AND running."heartbeatAt" >= now() - $2 * interval \'1 second\')',
+  '  ORDER BY build.branch IS DISTINCT FROM site."defaultBranch",',
+  '    (SELECT count(*) FROM build running WHERE running.site = build.site',
+  '      AND running.state = \'processing\'',
+  '      AND running."heartbeatAt" >= now() - $2 * interval \'1 second\'),',
+  '    build.id',
+  '  LIMIT 1',
+  '  FOR UPDATE OF build SKIP LOCKED',
+  ')',
+  'RETURNING id'
+].join('\n');
+
+var HEARTBEAT = [
+  'UPDATE build SET "heartbeatAt" = now()',
+  'WHERE "lockedBy" = $1 AND id = ANY($2::int[])',
+  'RETURNING id, state'
+].join('\n');
+
+/**
+ * Create a build queue backed by the build table.
+ * @param {Function} worker function called with a job and a callback
+ * @param {Number} (optional) number of jobs to run at once on this
+ *                 instance, defaults to 1
+ * @param {Function} called with the worker's results for each job
+ * @returns {Object} queue
+ */
+module.exports = function PostgresBuildQueue(worker, concurrency, complete) {
+  var claiming = false,
+      queue = {
+        // Name of this instance, recorded on the builds it claims
+        instance: [
+          os.hostname(), process.pid, crypto.randomBytes(4).toString('hex')
+        ].join(':'),
+        // Jobs running on this instance
+        running: [],
+        concurrency: concurrency || 1,
+        paused: true,
+
+        /**
+         * Start claiming builds, and renewing the lease on running builds.
+         * Called once the app has lifted.
+         */
+        start: function() {
+          var config = sails.config.build;
+
+          queue.paused = false;
+          setInterval(queue.process, config.queuePollInterval * 1000).unref();
+          setInterval(queue.heartbeat, config.queueLease * 1000 / 3).unref();
+          queue.process();
+        },
+
+        /**
+         * Let other instances know about a new job. The build has already
+         * been saved, so this only checks for it sooner than the next poll.
+         */
+        push: function() {
+          setImmediate(queue.process);
+        },
+
+        pause: function() {
+          queue.paused = true;
+        },
+
+        resume: function() {
+          queue.paused = false;
+          setImmediate(queue.process);
+        },
+
+        /**
+         * Remove waiting jobs, by claiming them without running them.
+         * @param {Object} criteria as for `BuildQueue#remove`
+         * @param {Function} callback with an error and the removed jobs
+         */
+        remove: function(criteria, done) {
+          var params = [queue.instance, sails.config.build.queueLease],
+              where = [
+                'state = \'processing\'',
+                '("lockedBy" IS NULL OR ' +
+                  '"heartbeatAt" < now() - $2 * interval \'1 second\')'
+              ];
+
+          if (criteria.id) where.push('id = $' + params.push(criteria.id));
+          if (criteria.site) {
+            where.push('site = $' + params.push(criteria.site));
+          }
+          if (criteria.branch) {
+            where.push('branch = $' + params.push(criteria.branch));
+          }
+          if (criteria.before) {
+            where.push('id < $' + params.push(criteria.before));
+          }
+
+          Build.query([
+            'UPDATE build SET "lockedBy" = $1, "heartbeatAt" = now()',
+            'WHERE ' + where.join(' AND '),
+            'RETURNING *'
+          ].join('\n'), params, function(err, result) {
+            if (err) return done(err);
+            done(null, result.rows);
+          });
+        },
+
+        /**
+         * Find jobs running on this instance.
+         * @param {Object} criteria as for `BuildQueue#remove`
+         * @returns {Array} jobs
+         */
+        runningJobs: function(criteria) {
+          return _(queue.running).pluck('data').filter(function(job) {
+            return matches(job, criteria);
+          }).value();
+        },
+
+        /**
+         * Claim and start waiting jobs until this instance is at its
+         * concurrency.
+         */
+        process: function() {
+          if (queue.paused || claiming ||
+              queue.running.length >= queue.concurrency) return;
+
+          claiming = true;
+          Build.query(CLAIM, [
+            queue.instance, sails.config.build.queueLease
+          ], function(err, result) {
+            claiming = false;
+            if (err) return sails.log.error('Build queue error: ', err);
+            if (!result.rows.length) return;
+
+            // Builds that can't be loaded are claimed again once the
+            // lease runs out
+            Build.loadJob(result.rows[0].id, function(err, model) {
+              if (err) return sails.log.error('Build queue error: ', err);
+              if (model) start({ data: model });
+              queue.process();
+            });
+          });
+        },
+
+        /**
+         * Renew the lease on running jobs, and stop jobs that were
+         * cancelled or claimed by other instances.
+         */
+        heartbeat: function() {
+          var ids = _.pluck(_.pluck(queue.running, 'data'), 'id');
+
+          if (!ids.length) return;
+
+          Build.query(HEARTBEAT, [
+            queue.instance, ids
+          ], function(err, result) {
+            if (err) return sails.log.error('Build queue error: ', err);
+
+            var builds = _.indexBy(result.rows, 'id');
+
+            _.each(queue.running, function(task) {
+              var build = builds[task.data.id];
+
+              // Another instance took over the build, so leave the
+              // result to it
+              if (!build) {
+                sails.log.warn('Lost lease on build: ', task.data.id);
+                task.lost = true;
+                return stop(task);
+              }
+
+              // The build was cancelled on another instance
+              if (build.state !== 'processing') {
+                task.data.state = build.state;
+                stop(task);
+              }
+            });
+          });
+        }
+      };
+
+  function start(task) {
+    var called = false;
+
+    sails.log.verbose('Claimed job: ', task.data.id);
+    queue.running.push(task);
+
+    worker(task.data, function() {
+      if (called) return;
+      called = true;
+      queue.running.splice(queue.running.indexOf(task), 1);
+      if (!task.lost) complete.apply(null, arguments);
+      queue.process();
+    });
+  }
+
+  function stop(task) {
+    sails.hooks[sails.config.build.engine].cancel(task.data, function(err) {
+      // Jobs that are already publishing run to completion
+      if (err) sails.log.verbose('Not stopping build: ', task.data.id, err);
+    });
+  }
+
+  return queue;
+};
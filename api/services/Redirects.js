@@ -0,0 +1,118 @@
+/**
+ * Redirects
+ *
+ * @description :: Redirects a site declares in a `_redirects` file in the
+ *                 root of its repository. Each line has the path to
+ *                 redirect from, the path in the site or URL to redirect
+ *                 to, and optionally the status, 301 (the default) or 302:
+ *
+ *                 # Pages that moved
+ *                 /old-page.html  /new-page/
+ *                 /blog/          https://blog.example.gov/  302
+ *
+ *                 Redirects are published as redirect objects in S3, and
+ *                 with the version for local sites, and take precedence
+ *                 over files at the same path.
+ */
+
+var fs = require('fs'),
+    path = require('path');
+
+module.exports = {
+
+  // Name of the file in a site's repository
+  name: '_redirects',
+
+  // File in a local version of a site that its redirects are saved to
+  file: '.federalist-redirects.json',
+
+  /**
+   * Read the redirects from a cloned repository.
+   * @param {String} directory of the repository
+   * @param {Function} callback with an error if the file is invalid, and
+   *                   the redirects, or none if there's no file
+   */
+  read: function(dir, done) {
+    fs.readFile(path.join(dir, module.exports.name), 'utf8',
+      function(err, content) {
+        if (err && err.code === 'ENOENT') return done(null, []);
+        if (err) return done(err);
+        module.exports.parse(content, done);
+      });
+  },
+
+  /**
+   * Parse and validate a redirects file.
+   * @param {String} content of the file
+   * @param {Function} callback with an error if the file is invalid, and
+   *                   the redirects, as `{ from: from, to: to, status: 301 }`
+   */
+  parse: function(content, done) {
+    var errors = [],
+        redirects = [];
+
+    _.each(content.split(/\r?\n/), function(line, index) {
+      var fields = line.replace(/#.*$/, '').trim().split(/\s+/),
+          redirect = {
+            from: fields[0],
+            to: fields[1],
+            status: fields[2] ? Number(fields[2]) : 301
+          },
+          problems = [];
+
+      if (!fields[0]) return;
+
+      if (fields.length < 2 || fields.length > 3) {
+        problems.push('must be a path, a destination and an optional status');
+      } else {
+        if (!/^\/[^*?]*$/.test(redirect.from) ||
+            _.contains(redirect.from.split('/'), '..')) {
+          problems.push('"' + redirect.from + '" must be a path in the site');
+        }
+        if (!/^(\/|https?:\/\/)/.test(redirect.to)) {
+          problems.push('"' + redirect.to + '" must be a path in the site ' +
+            'or a URL');
+        }
+        if (redirect.status !== 301 && redirect.status !== 302) {
+          problems.push('status must be 301 or 302');
+        }
+      }
+
+      if (problems.length) {
+        errors.push('line ' + (index + 1) + ': ' + problems.join(', '));
+      } else {
+        redirects.push(redirect);
+      }
+    });
+
+    if (errors.length) {
+      return done(new Error('Invalid ' + module.exports.name + ': ' +
+        errors.join('; ')));
+    }
+
+    done(null, redirects);
+  },
+
+  /**
+   * Find the redirect for a path in a site.
+   * @param {Array} redirects
+   * @param {String} path requested, starting with `/`
+   * @returns {Object} redirect, or nothing
+   */
+  match: function(redirects, file) {
+    return _.findLast(redirects, { from: file });
+  },
+
+  /**
+   * Get the URL a redirect sends visitors to. Paths in the site are
+   * relative to the site's base URL.
+   * @param {Object} redirect
+   * @param {String} baseurl of the site
+   * @returns {String} URL
+   */
+  location: function(redirect, baseurl) {
+    return redirect.to.charAt(0) === '/' ? baseurl + redirect.to :
+      redirect.to;
+  }
+
+};
@@ -1,4 +1,5 @@
-var fs = require('fs'),
+var crypto = require('crypto'),
+    fs = require('fs'),
     http = require('http'),
     https = require('https'),
     zlib = require('zlib'),
@@ -20,11 +21,29 @@ AWS.util.update(AWS.S3.prototype, {
   addExpect100Continue: function addExpect100Continue(req) {}
 });
 
-module.exports = function(config, done) {
+// Extensions of files that are uploaded gzipped
+var COMPRESS = /^(html|css|js|json|svg)$/;
+
+// Live versions, and the prefixes with one, that were read recently, by
+// key, so the app doesn't read them from the bucket for every request
+var cache = {};
 
-  config.compress = 'html|css|js|json|svg';
+/**
+ * Sync a built site to a prefix in the bucket. Files are compared by
+ * content hash with the manifest of the previous version of the site:
+ * new and changed files are uploaded, unchanged files are copied from the
+ * previous version without leaving S3, and removed files are left out.
+ * The manifest of the new version is saved for the next sync.
+ * @param {Object} config with the `prefix` to sync to, the `directory`
+ *                 to sync, the site's `baseurl`, the `previous` version's
+ *                 prefix, if there is one, the site's header `rules`, and
+ *                 its `redirects`, with their `location`
+ * @param {Function} callback with an error and upload statistics: the
+ *                   number of files `added`, `changed`, `removed` and
+ *                   `unchanged`, and the `bytes` uploaded
+ */
+module.exports = function(config, done) {
 
-  // Loop through all files and selectively encode them
   walk(config.directory, function(err, files, directories) {
     if (err) return done(err);
 
@@ -32,75 +51,381 @@ module.exports = function(config, done) {
       return dir.replace(config.directory + '/', '');
     });
 
-    async.each(files, encode.bind(this, config), function(err) {
+    async.parallel({
+      current: hashFiles.bind(null, config.directory, files,
+        config.rules || {}),
+      previous: function(next) {
+        if (!config.previous) return next(null, {});
+        readManifest(config.previous, next);
+      }
+    }, function(err, manifests) {
+      if (err) return done(err);
+      sync(config, manifests.current, manifests.previous, directories, done);
+    });
+  });
+
+};
+
+/**
+ * Get the prefix a version of a site is published to.
+ * @param {String} version, as `owner/repository/build`
+ * @returns {String} prefix
+ */
+module.exports.versionPrefix = function(version) {
+  return 'versions/' + version;
+};
+
+/**
+ * Make a version of a site the live version of a prefix. The version is
+ * copied to the prefix itself, for custom domains and CDNs that serve the
+ * bucket directly, and then saved in the prefix's manifest, which the
+ * preview proxy reads to serve the prefix. A single object is replaced, so
+ * requests to the app see either the old or the new version.
+ * @param {String} prefix the site is served from, such as `site/owner/repo`
+ * @param {String} version
+ * @param {Function} callback
+ */
+module.exports.activate = function(prefix, version, done) {
+  mirror(module.exports.versionPrefix(version), prefix, function(err) {
+    if (err) return done(err);
+
+    s3.putObject({
+      Key: manifestKey(prefix),
+      Body: JSON.stringify({ version: version }),
+      ContentType: 'application/json',
+      CacheControl: 'no-cache'
+    }, function(err) {
       if (err) return done(err);
 
-      // After encoding, sync to S3
-      sync(config, directories, done);
+      // Requests to this instance see the new version straight away, and
+      // new branches are found on their next request
+      cache['version:' + prefix] = { value: version, time: Date.now() };
+      _.each(_.keys(cache), function(key) {
+        if (key.indexOf('prefixes:') === 0 &&
+            prefix.indexOf(key.slice('prefixes:'.length) + '/') === 0) {
+          delete cache[key];
+        }
+      });
+      done();
     });
   });
+};
 
+/**
+ * Find the live version of a prefix. Versions are cached for
+ * `liveVersionCache` seconds, so other instances of the app serve a new
+ * version within that time.
+ * @param {String} prefix
+ * @param {Function} callback with an error and the version, or nothing if
+ *                   the prefix was published before versions were kept
+ */
+module.exports.liveVersion = function(prefix, done) {
+  cached('version:' + prefix, function(next) {
+    s3.getObject({ Key: manifestKey(prefix) }, function(err, data) {
+      if (err && (err.code === 'NoSuchKey' || err.statusCode === 404)) {
+        return next(null, null);
+      }
+      if (err) return next(err);
+      try {
+        next(null, JSON.parse(data.Body.toString()).version);
+      } catch (e) {
+        next(e);
+      }
+    });
+  }, done);
 };
 
-function encode(config, file, done) {
-  var contentType = mime.lookup(file),
-      ext = mime.extension(contentType),
-      match = new RegExp(config.compress);
+/**
+ * Find the prefixes under a prefix that have a live version, such as the
+ * branches of a site with previews, which can have slashes in their names.
+ * They're cached like live versions.
+ * @param {String} prefix, such as `preview/owner/repo`
+ * @param {Function} callback with an error and the prefixes
+ */
+module.exports.livePrefixes = function(prefix, done) {
+  cached('prefixes:' + prefix, function(next) {
+    listKeys(manifestKey(prefix).replace(/\.json$/, ''), function(err, keys) {
+      next(err, keys && _.map(keys, function(key) {
+        return prefix + '/' + key.replace(/\.json$/, '');
+      }));
+    });
+  }, done);
+};
 
-  if (!match.test(ext)) return done();
+/**
+ * Remove a version of a site, and its manifest of files.
+ * @param {String} version
+ * @param {Function} callback
+ */
+module.exports.removeVersion = function(version, done) {
+  var prefix = module.exports.versionPrefix(version),
+      remover = s3Ext.deleteDir({
+        Bucket: sails.config.build.s3Bucket,
+        Prefix: prefix + '/'
+      });
 
-  fs.readFile(file, function(err, data) {
+  remover.on('error', done);
+  remover.on('end', function() {
+    s3.deleteObject({ Key: manifestKey(prefix) }, function(err) {
+      done(err);
+    });
+  });
+};
+
+// Manifests are kept outside the prefixes sites are served from: the live
+// version of a branch's prefix, or the files in a version's prefix
+function manifestKey(prefix) {
+  return 'manifests/' + prefix + '.json';
+}
+
+// Call back with a value from the cache, or fetch it if it's expired
+function cached(key, fetch, done) {
+  var entry = cache[key],
+      maxAge = sails.config.build.liveVersionCache * 1000;
+
+  if (entry && Date.now() - entry.time < maxAge) return done(null, entry.value);
+
+  fetch(function(err, value) {
+    if (!err) cache[key] = { value: value, time: Date.now() };
+    done(err, value);
+  });
+}
+
+// List the objects under a prefix, by key relative to the prefix, with
+// their ETag and size
+function listKeys(prefix, done) {
+  var objects = {};
+
+  (function list(marker) {
+    s3.listObjects({ Prefix: prefix + '/', Marker: marker },
+      function(err, data) {
+        if (err) return done(err);
+        _.each(data.Contents, function(object) {
+          objects[object.Key.slice(prefix.length + 1)] = object;
+        });
+        if (!data.IsTruncated || !data.Contents.length) {
+          return done(null, _.keys(objects), objects);
+        }
+        list(_.last(data.Contents).Key);
+      });
+  })();
+}
+
+// Make the objects under a prefix the same as those under another, copying
+// only objects that changed. Empty objects are always copied, since they
+// can be redirects, whose ETags don't change with their location.
+function mirror(from, to, done) {
+  async.parallel({
+    source: listKeys.bind(null, from),
+    target: listKeys.bind(null, to)
+  }, function(err, found) {
     if (err) return done(err);
-    zlib.gzip(data, function(err, data) {
+
+    var source = found.source[1],
+        target = found.target[1],
+        removed = _.difference(_.keys(target), _.keys(source));
+
+    async.eachLimit(_.keys(source), 20, function(key, next) {
+      if (target[key] && target[key].ETag === source[key].ETag &&
+          source[key].Size) return next();
+      copy(source[key], to + '/' + key, next);
+    }, function(err) {
       if (err) return done(err);
-      fs.writeFile(file, data, done);
+
+      // Objects can be deleted a thousand at a time
+      async.eachSeries(_.range(0, removed.length, 1000), function(i, next) {
+        s3.deleteObjects({
+          Delete: {
+            Objects: _.map(removed.slice(i, i + 1000), function(key) {
+              return { Key: to + '/' + key };
+            })
+          }
+        }, function(err) {
+          next(err);
+        });
+      }, done);
     });
   });
 }
 
-function sync(config, directories, done) {
-  var params = {
-        localDir: config.directory,
-        deleteRemoved: true,
-        s3Params: {
-          Prefix: config.prefix || '',
-          CacheControl: 'max-age=60'
-        },
-        getS3Params: setEncoding
-      },
-      uploader = s3Ext.uploadDir(params);
-
-  uploader.on('error', logError);
-  uploader.on('end', setRedirects);
-
-  function setEncoding(file, stat, done) {
-    var s3Params = {},
-        contentType = mime.lookup(file),
-        ext = mime.extension(contentType),
-        match = new RegExp(config.compress);
-    if (match.test(ext)) s3Params.ContentEncoding = 'gzip';
-    sails.log.verbose('syncing file: ', file);
-    done(null, s3Params);
-  }
+// Copy an object with its headers. S3 doesn't copy the location of
+// redirect objects, so they're written again with their location and
+// status.
+function copy(object, key, done) {
+  if (object.Size) return copyObject();
 
-  function logError(err) {
-    sails.log.error('unable to sync:', err.stack);
-  }
+  s3.headObject({ Key: object.Key }, function(err, head) {
+    if (err) return done(err);
+    if (!head.WebsiteRedirectLocation) return copyObject();
+    s3.putObject({
+      CacheControl: head.CacheControl,
+      Key: key,
+      WebsiteRedirectLocation: head.WebsiteRedirectLocation,
+      Metadata: head.Metadata
+    }, function(err) {
+      done(err);
+    });
+  });
 
-  function setRedirects() {
-    var queue = async.queue(redirect, 20);
-    queue.drain = done;
-    queue.push(directories);
+  function copyObject() {
+    s3.copyObject({
+      CopySource: encodeKey(sails.config.build.s3Bucket + '/' + object.Key),
+      Key: key,
+      MetadataDirective: 'COPY'
+    }, function(err) {
+      done(err);
+    });
   }
+}
+
+function sync(config, current, previous, directories, done) {
+  var stats = { added: 0, changed: 0, removed: 0, unchanged: 0, bytes: 0 };
+
+  stats.removed = _.difference(_.keys(previous), _.keys(current)).length;
+
+  async.eachLimit(_.keys(current), 20, function(file, next) {
+    var key = config.prefix + '/' + file;
+
+    // Files are uploaded again if their headers changed, because objects
+    // that are copied keep their headers
+    if (!previous[file]) {
+      stats.added++;
+    } else if (previous[file].hash !== current[file].hash ||
+        !_.isEqual(previous[file].headers || {}, current[file].headers)) {
+      stats.changed++;
+    } else {
+      stats.unchanged++;
+      sails.log.verbose('copying file: ', file);
+      return s3.copyObject({
+        CopySource: encodeKey(sails.config.build.s3Bucket + '/' +
+          config.previous + '/' + file),
+        Key: key,
+        MetadataDirective: 'COPY'
+      }, function(err) {
+        next(err);
+      });
+    }
+
+    sails.log.verbose('syncing file: ', file);
+    upload(config.directory + '/' + file, key, current[file].headers,
+      function(err, bytes) {
+        stats.bytes += bytes || 0;
+        next(err);
+      });
+  }, function(err) {
+    if (err) return done(err);
+
+    // Redirects from the site's _redirects file replace files and
+    // directory redirects at the same path
+    async.series([
+      async.eachLimit.bind(async, directories, 20, redirect),
+      async.eachLimit.bind(async, config.redirects || [], 20, siteRedirect)
+    ], function(err) {
+      if (err) return done(err);
+      s3.putObject({
+        Key: manifestKey(config.prefix),
+        Body: JSON.stringify({ files: current }),
+        ContentType: 'application/json'
+      }, function(err) {
+        done(err, stats);
+      });
+    });
+  });
 
   function redirect(directory, next) {
     s3.putObject({
-      CacheControl: params.s3Params.CacheControl,
-      Key: params.s3Params.Prefix + '/' + directory,
+      CacheControl: sails.config.build.cacheControl,
+      Key: config.prefix + '/' + directory,
       WebsiteRedirectLocation: config.baseurl + '/' + directory + '/'
     }, next);
   }
 
+  function siteRedirect(redirect, next) {
+    var key = redirect.from.slice(1);
+    if (!key || key.slice(-1) === '/') key = key + 'index.html';
+
+    s3.putObject({
+      CacheControl: sails.config.build.cacheControl,
+      Key: config.prefix + '/' + key,
+      WebsiteRedirectLocation: redirect.location,
+      Metadata: { 'redirect-status': String(redirect.status) }
+    }, next);
+  }
+}
+
+// Upload a file with its headers, gzipped if it's text, and call back with
+// the bytes sent
+function upload(file, key, headers, done) {
+  var contentType = mime.lookup(file),
+      gzip = COMPRESS.test(mime.extension(contentType));
+
+  fs.readFile(file, function(err, data) {
+    if (err) return done(err);
+    if (!gzip) return put(data);
+    zlib.gzip(data, function(err, data) {
+      if (err) return done(err);
+      put(data);
+    });
+  });
+
+  function put(body) {
+    var params = _.extend({
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: sails.config.build.cacheControl
+    }, HeaderRules.toS3(headers));
+    if (gzip) params.ContentEncoding = 'gzip';
+    s3.putObject(params, function(err) {
+      done(err, body.length);
+    });
+  }
+}
+
+// Hash the content of files, and find their headers, by their path in the
+// directory
+function hashFiles(dir, files, rules, done) {
+  var manifest = {};
+
+  async.eachLimit(files, 20, function(file, next) {
+    var hash = crypto.createHash('sha1'),
+        size = 0;
+
+    fs.createReadStream(file).on('data', function(data) {
+      hash.update(data);
+      size += data.length;
+    }).on('error', next).on('end', function() {
+      var name = file.replace(dir + '/', '');
+      manifest[name] = {
+        hash: hash.digest('hex'),
+        size: size,
+        headers: HeaderRules.match(rules, '/' + name)
+      };
+      next();
+    });
+  }, function(err) {
+    done(err, manifest);
+  });
+}
+
+// Read the manifest of files saved for a prefix, or none if there isn't one
+function readManifest(prefix, done) {
+  s3.getObject({ Key: manifestKey(prefix) }, function(err, data) {
+    if (err && (err.code === 'NoSuchKey' || err.statusCode === 404)) {
+      return done(null, {});
+    }
+    if (err) return done(err);
+    try {
+      done(null, JSON.parse(data.Body.toString()).files || {});
+    } catch (e) {
+      done(e);
+    }
+  });
+}
+
+// Keys in a copy source are URL encoded
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
 }
 
 function walk(dir, done) {
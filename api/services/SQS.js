@@ -9,9 +9,21 @@ var fs = require('fs'),
 module.exports = {
 
   addJob: function(model) {
+    var service = this;
+
+    // Include the build config from the site's repository in the message,
+    // and fail the build if it isn't valid
+    BuildConfig.fetch(model, function(err, config) {
+      if (err) return error(err, model);
+      service.sendJob(model, config);
+    });
+  },
+
+  // Send a build message for an external builder to the queue
+  sendJob: function(model, config) {
     var defaultBranch = model.branch === model.site.defaultBranch,
         tokensBase = {
-          engine: model.site.engine,
+          engine: config.engine || model.site.engine,
           branch: model.branch,
           branchURL: defaultBranch ? '' : '/' + model.branch,
           root: defaultBranch ? 'site' : 'preview',
@@ -32,6 +44,8 @@ module.exports = {
             tokensBase.repository +
             tokensBase.branchURL,
           callback: url.resolve(sails.config.build.callback,
+            model.id + '/' + sails.config.build.token),
+          logCallback: url.resolve(sails.config.build.logCallback,
             model.id + '/' + sails.config.build.token)
         }),
         body = {
@@ -39,6 +53,7 @@ module.exports = {
             { "name": "AWS_ACCESS_KEY_ID", "value": awsKey },
             { "name": "AWS_SECRET_ACCESS_KEY", "value": awsSecret },
             { "name": "CALLBACK", "value": tokens.callback },
+            { "name": "LOG_CALLBACK", "value": tokens.logCallback },
             { "name": "BUCKET", "value":  sails.config.build.s3Bucket },
             { "name": "BASEURL", "value": tokens.baseurl },
             { "name": "CACHE_CONTROL", "value": sails.config.build.cacheControl },
@@ -48,7 +63,13 @@ module.exports = {
             { "name": "OWNER", "value": tokens.owner },
             { "name": "PREFIX", "value": tokens.prefix },
             { "name": "GITHUB_TOKEN", "value": tokens.token },
-            { "name": "GENERATOR", "value": tokens.engine }
+            { "name": "GENERATOR", "value": tokens.engine },
+            { "name": "BUILD_SCRIPT", "value": config.script || 'build' },
+            { "name": "BUILD_CONFIG", "value": JSON.stringify(config) },
+            { "name": "SITEMAP", "value": model.site.sitemap ? 'true' : '' },
+            { "name": "SITE_URL",
+              "value": Sitemap.siteURL(model.site, tokens.baseurl) },
+            { "name": "SEARCH", "value": model.site.search ? 'true' : '' }
           ],
           name: sails.config.build.containerName
         },
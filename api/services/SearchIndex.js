@@ -0,0 +1,151 @@
+/**
+ * SearchIndex
+ *
+ * @description :: The search index and search widget written to a site's
+ *                 built output when the site has `search` turned on, so the
+ *                 site can be searched without an external service. The
+ *                 index lists the title, headings and text of each page, as
+ *                 documents lunr can index, and the widget searches it in
+ *                 the browser.
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    htmlparser = require('htmlparser2');
+
+// Elements whose text isn't part of a page's content
+var IGNORED = ['head', 'script', 'style', 'noscript', 'template', 'svg', 'nav',
+  'footer'];
+
+// Elements that don't separate the words around them
+var INLINE = ['a', 'abbr', 'b', 'cite', 'code', 'em', 'i', 'kbd', 'mark', 'q',
+  's', 'small', 'span', 'strong', 'sub', 'sup', 'u'];
+
+module.exports = {
+
+  index: 'federalist-search.json',
+
+  widget: 'federalist-search.js',
+
+  // Characters of each page's text kept in the index
+  maxText: 5000,
+
+  /**
+   * Write the search index and widget to a site's built output.
+   * @param {String} directory of the output
+   * @param {Object} options: the site's `baseurl`
+   * @param {Function} callback with an error and the number of pages
+   *                   indexed
+   */
+  write: function(dir, options, done) {
+    var service = module.exports;
+
+    SiteFiles.list(dir, function(err, files) {
+      if (err) return done(err);
+
+      var pages = _.reject(SiteFiles.pages(files), function(file) {
+        return file === '404.html';
+      });
+
+      async.mapLimit(pages, 10, function(file, next) {
+        fs.readFile(path.join(dir, file), 'utf8', function(err, html) {
+          var url = (options.baseurl || '') + '/' +
+            encodeURI(file.replace(/(^|\/)index\.html?$/, '$1'));
+
+          next(err, html && service.document(html, url));
+        });
+      }, function(err, documents) {
+        if (err) return done(err);
+
+        documents = _.compact(documents);
+        async.parallel([
+          fs.writeFile.bind(fs, path.join(dir, service.index),
+            JSON.stringify(service.json(documents))),
+          function(next) {
+            fs.readFile(path.join(__dirname, '..', '..', 'assets', 'search',
+              service.widget), function(err, widget) {
+              if (err) return next(err);
+              fs.writeFile(path.join(dir, service.widget), widget, next);
+            });
+          }
+        ], function(err) {
+          done(err, documents.length);
+        });
+      });
+    });
+  },
+
+  /**
+   * Make the search index for a site's pages. Lunr can index the documents
+   * with the index's `ref` and `fields`.
+   * @param {Array} documents, as returned by `document`
+   * @returns {Object} index
+   */
+  json: function(documents) {
+    return {
+      ref: 'url',
+      fields: ['title', 'headings', 'text'],
+      documents: documents
+    };
+  },
+
+  /**
+   * Find the title, headings and text of a page.
+   * @param {String} HTML
+   * @param {String} URL of the page
+   * @returns {Object} document, as `{ url: url, title: title,
+   *                   headings: headings, text: text }`, or nothing if the
+   *                   page asks not to be indexed
+   */
+  document: function(html, url) {
+    var title = '',
+        headings = [],
+        text = [],
+        heading = null,
+        inTitle = false,
+        ignored = 0,
+        noindex = false,
+        parser;
+
+    parser = new htmlparser.Parser({
+      onopentag: function(name, attributes) {
+        if (name === 'meta' && /^robots$/i.test(attributes.name) &&
+            /noindex/i.test(attributes.content)) noindex = true;
+        if (name === 'title') inTitle = true;
+        if (_.contains(IGNORED, name)) ignored++;
+        if (/^h[1-6]$/.test(name) && !ignored) heading = [];
+      },
+      ontext: function(content) {
+        if (inTitle) title += content;
+        if (ignored) return;
+        if (heading) heading.push(content);
+        text.push(content);
+      },
+      onclosetag: function(name) {
+        if (!_.contains(INLINE, name)) text.push(' ');
+        if (name === 'title') inTitle = false;
+        if (_.contains(IGNORED, name) && ignored) ignored--;
+        if (/^h[1-6]$/.test(name) && heading) {
+          headings.push(collapse(heading.join('')));
+          heading = null;
+        }
+      }
+    }, { decodeEntities: true });
+
+    parser.end(html);
+    if (noindex) return;
+
+    headings = _.compact(headings);
+    return {
+      url: url,
+      title: collapse(title) || headings[0] || url,
+      headings: headings.join(' '),
+      text: collapse(text.join('')).slice(0, module.exports.maxText)
+    };
+  }
+
+};
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,96 @@
+/**
+ * SiteConfig
+ *
+ * @description :: The custom configuration a site sets in its settings,
+ *                 which means something different for each engine:
+ *
+ *                 jekyll   YAML added to the site's `_config.yml`
+ *                 hugo     TOML or YAML merged over the site's
+ *                          `config.toml`
+ *                 static   YAML settings for how the site is published:
+ *                          `output`, the subdirectory of the repository to
+ *                          publish, and `ignore`, files and directories in
+ *                          it not to publish
+ *
+ *                 The node engine doesn't use it.
+ */
+
+var TOML = require('toml'),
+    YAML = require('yamljs'),
+    BuildConfig = require('./BuildConfig');
+
+module.exports = {
+
+  // Settings a static site's custom configuration can include
+  staticSettings: ['output', 'ignore'],
+
+  /**
+   * Parse a site's custom configuration for an engine.
+   * @param {String} engine
+   * @param {String} custom configuration
+   * @returns {Object} `format` of the configuration (`yaml` or `toml`),
+   *                   and its `settings`
+   * @throws {Error} if the configuration is invalid for the engine
+   */
+  parse: function(engine, content) {
+    var yaml, errors;
+
+    if (!content || !content.trim()) return { format: 'yaml', settings: {} };
+
+    try {
+      yaml = YAML.parse(content);
+    } catch (err) {
+      yaml = err;
+    }
+
+    // TOML tables and keys aren't YAML mappings, so Hugo configuration
+    // that isn't a YAML mapping is read as TOML
+    if (engine === 'hugo' && !_.isPlainObject(yaml)) {
+      try {
+        return { format: 'toml', settings: TOML.parse(content) };
+      } catch (err) {
+        throw new Error('Custom configuration must be TOML or YAML: ' +
+          (err.line ? 'line ' + err.line + ': ' : '') + err.message);
+      }
+    }
+
+    if (yaml instanceof Error) {
+      throw new Error('Custom configuration must be YAML: ' + yaml.message);
+    }
+    if (yaml === null || yaml === undefined) yaml = {};
+    if (!_.isPlainObject(yaml)) {
+      throw new Error('Custom configuration must be a YAML mapping');
+    }
+
+    if (engine === 'static') {
+      errors = _.map(_.difference(_.keys(yaml),
+        module.exports.staticSettings), function(key) {
+          return 'unknown setting "' + key + '"';
+        }).concat(BuildConfig.validate(_.pick(yaml,
+          module.exports.staticSettings)));
+      if (errors.length) {
+        throw new Error('Invalid custom configuration: ' + errors.join('; '));
+      }
+      yaml = _.pick(BuildConfig.normalize(yaml),
+        module.exports.staticSettings);
+    }
+
+    return { format: 'yaml', settings: yaml };
+  },
+
+  /**
+   * Check a site's custom configuration for an engine.
+   * @param {String} engine
+   * @param {String} custom configuration
+   * @returns {Array} error messages
+   */
+  validate: function(engine, content) {
+    try {
+      module.exports.parse(engine, content);
+      return [];
+    } catch (err) {
+      return [err.message];
+    }
+  }
+
+};
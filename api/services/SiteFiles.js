@@ -0,0 +1,55 @@
+/**
+ * SiteFiles
+ *
+ * @description :: Finds the files in a built site, for the steps that
+ *                 check or add to the site once it's built.
+ */
+
+var fs = require('fs'),
+    path = require('path');
+
+module.exports = {
+
+  /**
+   * Find the files in a built site.
+   * @param {String} directory of the site
+   * @param {Function} callback with an error and the paths of the files,
+   *                   relative to the directory, in order
+   */
+  list: function(dir, done) {
+    files(dir, '', function(err, found) {
+      done(err, found && found.sort());
+    });
+  },
+
+  /**
+   * Find the HTML pages among a site's files. Hidden files, and files in
+   * hidden directories, aren't served, so they aren't pages.
+   * @param {Array} paths of the files
+   * @returns {Array} paths of the pages
+   */
+  pages: function(files) {
+    return _.filter(files, function(file) {
+      return /\.html?$/.test(file) && !/(^|\/)\./.test(file);
+    });
+  }
+
+};
+
+function files(dir, prefix, done) {
+  fs.readdir(path.join(dir, prefix), function(err, names) {
+    if (err) return done(err);
+
+    async.map(names, function(name, next) {
+      var file = prefix ? prefix + '/' + name : name;
+
+      fs.stat(path.join(dir, file), function(err, stats) {
+        if (err) return next(err);
+        if (stats.isDirectory()) return files(dir, file, next);
+        next(null, [file]);
+      });
+    }, function(err, found) {
+      done(err, _.flatten(found));
+    });
+  });
+}
@@ -0,0 +1,114 @@
+/**
+ * Sitemap
+ *
+ * @description :: The `sitemap.xml` and `robots.txt` written to a site's
+ *                 built output when the site has `sitemap` turned on. The
+ *                 sitemap lists every page in the output, at the site's
+ *                 custom domain or the URL it's served from. Previews get a
+ *                 `robots.txt` that keeps them from being indexed, and the
+ *                 default branch gets one that allows indexing and points
+ *                 to the sitemap. A site's own `sitemap.xml`, and its own
+ *                 `robots.txt` on the default branch, are kept.
+ */
+
+var fs = require('fs'),
+    path = require('path');
+
+module.exports = {
+
+  sitemap: 'sitemap.xml',
+
+  robots: 'robots.txt',
+
+  /**
+   * Get the URL a build of a site is published at, like its `viewLink`.
+   * @param {Site} site
+   * @param {String} baseurl of the build, which is empty for the default
+   *                 branch of a site with a custom domain
+   * @returns {String} URL, without a trailing slash
+   */
+  siteURL: function(site, baseurl) {
+    var root = baseurl ? Site.siteRoot() : site.domain;
+
+    if (!/^https?:\/\//.test(root)) root = 'http://' + root;
+    return root.replace(/\/+$/, '') + baseurl;
+  },
+
+  /**
+   * Write the sitemap and robots.txt to a site's built output.
+   * @param {String} directory of the output
+   * @param {Object} options: the site's `url`, and whether the build is a
+   *                 `preview`
+   * @param {Function} callback with an error
+   */
+  write: function(dir, options, done) {
+    var service = module.exports,
+        sitemap = path.join(dir, service.sitemap),
+        robots = path.join(dir, service.robots);
+
+    async.parallel({
+      files: SiteFiles.list.bind(SiteFiles, dir),
+      sitemap: exists.bind(null, sitemap),
+      robots: exists.bind(null, robots)
+    }, function(err, found) {
+      if (err) return done(err);
+
+      async.parallel([
+        function(next) {
+          if (found.sitemap) return next();
+          fs.writeFile(sitemap, service.xml(SiteFiles.pages(found.files),
+            options.url), next);
+        },
+        function(next) {
+          if (found.robots && !options.preview) return next();
+          fs.writeFile(robots, service.robotsTxt(options), next);
+        }
+      ], done);
+    });
+  },
+
+  /**
+   * Make a sitemap for pages in a site.
+   * @param {Array} paths of the pages in the site's output
+   * @param {String} URL of the site
+   * @returns {String} XML
+   */
+  xml: function(files, url) {
+    var locations = _(files).reject(function(file) {
+      return file === '404.html';
+    }).map(function(file) {
+      return url + '/' + encodeURI(file.replace(/(^|\/)index\.html$/, '$1'));
+    }).sort().value();
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+    ].concat(_.map(locations, function(location) {
+      return '  <url><loc>' + escapeXML(location) + '</loc></url>';
+    }), '</urlset>', '').join('\n');
+  },
+
+  /**
+   * Make a robots.txt for a build.
+   * @param {Object} options as for `write`
+   * @returns {String} robots.txt
+   */
+  robotsTxt: function(options) {
+    if (options.preview) return 'User-agent: *\nDisallow: /\n';
+
+    return 'User-agent: *\nDisallow:\n\nSitemap: ' + options.url + '/' +
+      module.exports.sitemap + '\n';
+  }
+
+};
+
+function exists(file, done) {
+  fs.exists(file, function(exists) {
+    done(null, exists);
+  });
+}
+
+function escapeXML(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
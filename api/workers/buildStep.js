@@ -0,0 +1,34 @@
+/**
+ * Runs a service's method on a built site in a child process of the app,
+ * for the build steps that read or rewrite every file in a site, so a
+ * large site doesn't hold up requests to the app. The buildEngine hook
+ * starts it with `fork` and sends it the service, method and arguments,
+ * and it sends back the method's results and exits. Sails doesn't load
+ * this directory, so this only runs in the child process.
+ */
+
+var path = require('path'),
+    _ = require('lodash');
+
+// The services the steps use, and the globals they expect
+var SERVICES = ['AccessibilityAudit', 'AssetOptimizer', 'LinkChecker',
+  'Redirects', 'SearchIndex', 'SiteFiles'];
+
+global._ = _;
+global.async = require('async');
+SERVICES.forEach(function(name) {
+  global[name] = require(path.join(__dirname, '..', 'services', name));
+});
+
+process.once('message', function(message) {
+  var service = global[message.service];
+
+  service[message.method].apply(service, message.args.concat(function(err) {
+    process.send({
+      error: err ? err.message : null,
+      results: _.toArray(arguments).slice(1)
+    }, function() {
+      process.disconnect();
+    });
+  }));
+});
@@ -0,0 +1,23 @@
+function buildAction(id, action, done) {
+  $.ajax('/v0/build/' + id + '/' + action, {
+    method: 'POST',
+    success: function() {
+      done();
+    },
+    error: function(res) {
+      done(res.responseText || 'Unable to ' + action + ' this build.');
+    }
+  });
+}
+
+module.exports.cancel = function(id, done) {
+  buildAction(id, 'cancel', done);
+};
+
+module.exports.rebuild = function(id, done) {
+  buildAction(id, 'rebuild', done);
+};
+
+module.exports.rollback = function(id, done) {
+  buildAction(id, 'rollback', done);
+};
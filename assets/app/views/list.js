@@ -5,6 +5,7 @@ var _ = require('underscore');
 var moment = require('moment');
 
 var SiteModel = require('../models/Site').model;
+var buildHelpers = require('../helpers/builds');
 var listTemplateHtml = fs.readFileSync(__dirname + '/../templates/list.html').toString();
 var listItemTemplateHtml = fs.readFileSync(__dirname + '/../templates/list-item.html').toString();
 
@@ -45,16 +46,30 @@ var SiteListItemView = Backbone.View.extend({
   className: 'sites-list-item',
   model: SiteModel,
   template: _.template(listItemTemplateHtml),
+  events: {
+    'click [data-action=rebuild]': 'onRebuild'
+  },
   initialize: function initializeSiteView() {
     this.render();
   },
   render: function renderSiteView() {
     var data = this.model.toJSON(),
-        lastBuild = _(data.builds).chain().where({
+        defaultBranchBuilds = _(data.builds).where({
           branch: data.defaultBranch
-        }).filter(function(build) {
-          return build.completedAt;
-        }).last().value();
+        }),
+        lastBuild = _(defaultBranchBuilds).chain().filter(function(build) {
+          return build.completedAt &&
+            !_(['cancelled', 'superseded']).contains(build.state);
+        }).last().value(),
+        latestBuild = _(defaultBranchBuilds).last(),
+        auditedBuild = _(defaultBranchBuilds).chain().filter(function(build) {
+          return build.accessibilityReport;
+        }).last().value(),
+        violations;
+
+    // Only offer to rebuild the default branch when it isn't building
+    data.rebuildId = latestBuild && latestBuild.state !== 'processing' ?
+      latestBuild.id : null;
 
     data.lastBuildTime = lastBuild ? moment(new Date(lastBuild.completedAt))
       .format('L LT') : '';
@@ -63,9 +78,36 @@ var SiteListItemView = Backbone.View.extend({
       lastBuild.state === 'success' ? '<span class="usa-label label-success">Published</span>' :
       lastBuild.state === 'skipped' ? '<span class="usa-label label-success">Published</span>' :
       '<span class="usa-label label-warning">Publishing...</span>';
+
+    // Badge for the accessibility audit of the default branch's last build,
+    // which is red if it was over the site's threshold
+    if (auditedBuild) {
+      violations = auditedBuild.accessibilityReport.violations;
+      data.accessibility = {
+        text: violations ? violations + ' accessibility problem' +
+          (violations === 1 ? '' : 's') : 'No accessibility problems found',
+        labelClass: !violations ? 'label-success' :
+          _.isNumber(data.accessibilityThreshold) &&
+            violations > data.accessibilityThreshold ? 'label-danger' :
+          'label-warning'
+      };
+    } else {
+      data.accessibility = null;
+    }
     this.$el.html(this.template(data));
 
     this.$el.attr('data-site-id', data.id);
+  },
+  onRebuild: function onRebuild(e) {
+    e.preventDefault();
+    var $link = $(e.currentTarget);
+
+    // The new build updates the list by a build socket message
+    $link.addClass('disabled');
+    buildHelpers.rebuild($link.data('build-id'), function(err) {
+      $link.removeClass('disabled');
+      if (err) window.alert(err);
+    });
   }
 });
 
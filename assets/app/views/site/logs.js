@@ -4,12 +4,36 @@ var Backbone = require('backbone');
 var _ = require('underscore');
 var moment = require('moment');
 
+var buildHelpers = require('../../helpers/builds');
+
 var templateHtml = fs.readFileSync(__dirname + '/../../templates/site/logs.html').toString();
 
 var SiteLogsView = Backbone.View.extend({
   tagName: 'div',
   className: 'list',
   template: _.template(templateHtml, { variable: 'site' }),
+  events: {
+    'click [data-action=toggle-log]': 'onToggleLog',
+    'click [data-action=toggle-report]': 'onToggleReport',
+    'click [data-action=cancel-build]': 'onCancelBuild',
+    'click [data-action=rebuild]': 'onRebuild',
+    'click [data-action=rollback]': 'onRollback'
+  },
+  initialize: function () {
+    // Output and open state of each build's console
+    this.logs = {};
+    this.openLogs = {};
+
+    // Re-render when a build changes state (on build socket messages)
+    if (this.model) this.listenTo(this.model, 'change:builds', this.render);
+
+    // Stream output from builds as it is saved
+    this.onBuildLog = this.onBuildLog.bind(this);
+    io.socket.on('buildlog', this.onBuildLog);
+    federalist.once('route', function() {
+      io.socket.off('buildlog', this.onBuildLog);
+    }.bind(this));
+  },
   render: function() {
     if (!this.model) return this;
     this.fetchUsernames();
@@ -20,6 +44,7 @@ var SiteLogsView = Backbone.View.extend({
     $.getJSON('/v0/user/usernames', function(users) {
       var data = view.onFetchUsernames(users, view.model);
       view.$el.html(view.template(data));
+      view.renderLogs(data.builds);
     });
   },
   onFetchUsernames: function (users, model) {
@@ -38,20 +63,185 @@ var SiteLogsView = Backbone.View.extend({
         createdAt = build.createdAt && new Date(build.createdAt),
         base = completedAt || new Date(),
         duration = moment.duration(moment(base).diff(createdAt)),
-        item = _.clone(build);
+        item = _.clone(build),
+        stats,
+        optimized,
+        report,
+        audit;
 
     item.username = users[build.user];
     item.duration = duration.seconds();
     item.durationFormatted = duration.humanize();
     item.panelClass = build.state === 'error' ? 'error' :
+      build.state === 'cancelled' ? 'warning' :
+      build.state === 'superseded' ? 'warning' :
       build.state === 'success' ? '' : 'info';
 
+    // Summarize how much smaller optimizing the built site made it
+    if (build.optimizeStats) {
+      optimized = build.optimizeStats;
+      item.optimizeSummary = optimized.files + ' file' +
+        (optimized.files === 1 ? '' : 's') + ' optimized, ' +
+        Math.round((optimized.before - optimized.after) / 1024) +
+        ' KB saved';
+    }
+
+    // Summarize what publishing the build uploaded to S3
+    if (build.uploadStats) {
+      stats = build.uploadStats;
+      item.uploadSummary = stats.added + ' added, ' + stats.changed +
+        ' changed, ' + stats.removed + ' removed files, ' +
+        Math.ceil(stats.bytes / 1024) + ' KB uploaded';
+    }
+
+    // Summarize the broken links found in the built site
+    if (build.linkReport) {
+      report = build.linkReport;
+      item.linkSummary = report.broken + ' broken link' +
+        (report.broken === 1 ? '' : 's') + ' found in ' + report.pages +
+        ' page' + (report.pages === 1 ? '' : 's');
+    }
+
+    // Summarize the accessibility problems found in the built site
+    if (build.accessibilityReport) {
+      audit = build.accessibilityReport;
+      item.accessibilitySummary = audit.violations + ' accessibility ' +
+        'problem' + (audit.violations === 1 ? '' : 's') + ' found';
+    }
+
     if (completedAt) {
       item.completedAt = moment(completedAt).format('L LT');
       item.completedAtFormatted = moment(completedAt).fromNow();
     }
 
     return item;
+  },
+  renderLogs: function (builds) {
+    var view = this;
+
+    // Open a live console for builds in progress
+    _(builds).chain().where({ state: 'processing' }).each(function(build) {
+      if (!_.has(view.openLogs, build.id)) view.openLogs[build.id] = true;
+    });
+
+    _(this.openLogs).each(function(open, id) {
+      if (open) view.showLog(id);
+    });
+  },
+  onCancelBuild: function (e) {
+    e.preventDefault();
+    var $button = $(e.currentTarget),
+        id = $button.data('build-id');
+
+    if (!window.confirm('Are you sure you want to cancel this build?')) return;
+
+    // The build's state is updated by a build socket message
+    $button.prop('disabled', true);
+    buildHelpers.cancel(id, function(err) {
+      if (!err) return;
+      $button.prop('disabled', false);
+      window.alert(err);
+    });
+  },
+  onRebuild: function (e) {
+    e.preventDefault();
+    var $button = $(e.currentTarget);
+
+    // The new build is added to the list by a build socket message
+    $button.prop('disabled', true);
+    buildHelpers.rebuild($button.data('build-id'), function(err) {
+      $button.prop('disabled', false);
+      if (err) window.alert(err);
+    });
+  },
+  onRollback: function (e) {
+    e.preventDefault();
+    var $button = $(e.currentTarget);
+
+    if (!window.confirm('Are you sure you want to make this build the ' +
+        'live version of its branch?')) return;
+
+    // The live version is switched at once, so the build list doesn't change
+    $button.prop('disabled', true);
+    buildHelpers.rollback($button.data('build-id'), function(err) {
+      $button.prop('disabled', false);
+      if (err) return window.alert(err);
+      $button.text('Rolled back');
+    });
+  },
+  onToggleLog: function (e) {
+    e.preventDefault();
+    var id = $(e.currentTarget).data('build-id');
+
+    if (this.openLogs[id]) return this.hideLog(id);
+    this.showLog(id);
+  },
+  onToggleReport: function (e) {
+    e.preventDefault();
+    var $toggle = $(e.currentTarget),
+        $report = this.$('[data-build-report="' + $toggle.data('build-id') +
+          '-' + $toggle.data('report') + '"]');
+
+    $report.toggle();
+    $toggle.text(($report.is(':visible') ? 'Hide ' : 'View ') +
+      $toggle.data('label'));
+  },
+  showLog: function (id) {
+    this.openLogs[id] = true;
+    this.$('[data-build-log="' + id + '"]').show();
+    this.$('[data-action=toggle-log][data-build-id="' + id + '"]')
+      .text('Hide log');
+
+    if (_.has(this.logs, id)) return this.updateLog(id);
+    this.fetchLog(id);
+  },
+  hideLog: function (id) {
+    this.openLogs[id] = false;
+    this.$('[data-build-log="' + id + '"]').hide();
+    this.$('[data-action=toggle-log][data-build-id="' + id + '"]')
+      .text('View log');
+  },
+  fetchLog: function (id) {
+    var view = this;
+
+    // Fetching over the socket also subscribes to new output for the build
+    this.logs[id] = [];
+    io.socket.get('/v0/build/' + id + '/log', function(logs) {
+      view.addLogs(id, logs);
+    });
+  },
+  addLogs: function (id, logs) {
+    // Output streamed while fetching may also be in the fetched log
+    this.logs[id] = _(this.logs[id].concat(logs)).chain()
+      .uniq(false, function(log) { return log.id; })
+      .sortBy('id')
+      .value();
+
+    if (this.openLogs[id]) this.updateLog(id);
+  },
+  updateLog: function (id) {
+    var $log = this.$('[data-build-log="' + id + '"] .build-log'),
+        el = $log[0],
+        following = el && el.scrollTop + el.clientHeight >= el.scrollHeight,
+        logs = this.logs[id];
+
+    $log.text(logs.length ? this.formatLog(logs) :
+      'No output has been saved for this build.');
+
+    // Keep the console scrolled to the newest output
+    if (following) el.scrollTop = el.scrollHeight;
+  },
+  onBuildLog: function (log) {
+    if (_.has(this.logs, log.build)) this.addLogs(log.build, [log]);
+  },
+  formatLog: function (logs) {
+    // Prefix each line with the time its chunk of output was saved
+    return _(logs).map(function(log) {
+      var time = moment(new Date(log.createdAt)).format('HH:mm:ss');
+      return log.output.replace(/\n$/, '').split('\n').map(function(line) {
+        return '[' + time + '] ' + line;
+      }).join('\n');
+    }).join('\n');
   }
 });
 module.exports = SiteLogsView;
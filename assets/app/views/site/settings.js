@@ -9,14 +9,31 @@ var SiteSettingsView = Backbone.View.extend({
   template: _.template(templateHtml, { variable: 'model' }),
   events: {
     'submit': 'onSave',
+    'change [name=engine]': 'onChangeEngine',
     'click [data-action=delete-site]': 'onDelete'
   },
   render: function renderSiteEditView() {
     if (!this.model) return this;
     var data = this.model.toJSON();
     this.$el.html(this.template(data));
+    this.onChangeEngine();
     return this;
   },
+  onChangeEngine: function () {
+    var engine = this.$('[name=engine]').val();
+
+    // Each engine reads custom configuration differently, and Node sites
+    // don't have any
+    this.$('[data-engine-help]').hide();
+    this.$('[data-engine-help="' + engine + '"]').show();
+    this.$('[data-engine-config]').toggle(engine !== 'node');
+    this.$('[name=config]').prop('disabled', engine === 'node');
+    this.setConfigError();
+  },
+  setConfigError: function (message) {
+    this.$('[data-config-error]').toggle(!!message)
+      .find('.usa-alert-text').text(message || '');
+  },
   getFormData: function (sel) {
     var $el = this.$(sel);
     var data = this.formatFormData($el.serializeArray());
@@ -33,13 +50,31 @@ var SiteSettingsView = Backbone.View.extend({
     e.preventDefault();
     var view = this;
     var data = this.getFormData('form');
+
+    // An empty threshold means any number of problems can be published
+    if (data.accessibilityThreshold === '') data.accessibilityThreshold = null;
+    this.setConfigError();
     this.model.save(data, {
       attrs: data,
       success: function() {
         view.trigger('site:save:success');
+      },
+      error: function(model, res) {
+        view.onSaveError(res);
       }
     });
   },
+  onSaveError: function (res) {
+    var invalid = res.responseJSON && res.responseJSON.invalidAttributes;
+
+    // Custom configuration is validated for the chosen engine
+    if (invalid && invalid.config) {
+      return this.setConfigError('This custom configuration can\'t be ' +
+        'used with this engine. ' +
+        this.$('[data-engine-help]:visible').text());
+    }
+    this.setConfigError(res.responseText || 'Unable to save these settings.');
+  },
   onDelete: function onDelete() {
     var opts = {
       success: this.onDeleteSuccess.bind(this),
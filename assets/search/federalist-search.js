@@ -0,0 +1,193 @@
+/**
+ * Federalist search widget
+ *
+ * Searches a site with the `federalist-search.json` index Federalist writes
+ * next to this script when the site has search turned on. Include it where
+ * the search box should go:
+ *
+ *   <script src="{{ site.baseurl }}/federalist-search.js" async></script>
+ *
+ * It adds a search box there, or uses the one matched by a `data-input`
+ * selector on the script tag, and lists results after it, or in the element
+ * matched by `data-results`. Pages that include lunr are searched with it,
+ * and others with a simple search that matches every word.
+ */
+(function() {
+  var script = document.currentScript || (function() {
+        var scripts = document.getElementsByTagName('script');
+        return scripts[scripts.length - 1];
+      })(),
+      indexURL = script.getAttribute('data-index') ||
+        script.src.replace(/[^\/]*$/, 'federalist-search.json'),
+      maxResults = 10,
+      weights = { title: 10, headings: 5, text: 1 },
+      input, results, index, search;
+
+  function setUp() {
+    input = find('data-input');
+    results = find('data-results');
+    if (!input) input = addForm();
+    if (!results) {
+      results = document.createElement('ul');
+      input.parentNode.insertBefore(results, input.nextSibling);
+    }
+
+    results.className += ' federalist-search-results';
+    results.setAttribute('aria-live', 'polite');
+    input.addEventListener('focus', load);
+    input.addEventListener('input', function() {
+      load(show);
+    });
+    if (input.form) {
+      input.form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        load(show);
+      });
+    }
+  }
+
+  // The element a selector on the script tag matches
+  function find(attribute) {
+    var selector = script.getAttribute(attribute);
+    return selector ? document.querySelector(selector) : null;
+  }
+
+  function addForm() {
+    var form = document.createElement('form'),
+        label = document.createElement('label'),
+        field = document.createElement('input');
+
+    form.className = 'federalist-search';
+    form.setAttribute('role', 'search');
+    label.setAttribute('for', 'federalist-search-input');
+    label.textContent = 'Search this site';
+    field.id = 'federalist-search-input';
+    field.type = 'search';
+    field.setAttribute('autocomplete', 'off');
+    form.appendChild(label);
+    form.appendChild(field);
+    script.parentNode.insertBefore(form, script);
+    return field;
+  }
+
+  // Fetch the index the first time it's needed
+  function load(done) {
+    var request;
+
+    if (index) return typeof done === 'function' && done();
+    if (load.pending) return;
+    load.pending = true;
+
+    request = new XMLHttpRequest();
+    request.open('GET', indexURL);
+    request.onload = function() {
+      load.pending = false;
+      if (request.status !== 200) return;
+      index = JSON.parse(request.responseText);
+      search = window.lunr ? lunrSearch(index) : simpleSearch;
+      show();
+    };
+    request.onerror = function() {
+      load.pending = false;
+    };
+    request.send();
+  }
+
+  function lunrSearch(data) {
+    var documents = {},
+        idx = window.lunr(function() {
+          var builder = this;
+
+          builder.ref(data.ref);
+          data.fields.forEach(function(field) {
+            builder.field(field, { boost: weights[field] });
+          });
+          data.documents.forEach(function(doc) {
+            documents[doc[data.ref]] = doc;
+            builder.add(doc);
+          });
+        });
+
+    return function(query) {
+      try {
+        return idx.search(query).map(function(result) {
+          return documents[result.ref];
+        });
+      } catch (err) {
+        // Queries with lunr's syntax in them can't always be parsed
+        return simpleSearch(query);
+      }
+    };
+  }
+
+  // Pages with every word in the query, best matches first
+  function simpleSearch(query) {
+    var words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return index.documents.map(function(doc) {
+      var score = 0;
+
+      words.forEach(function(word) {
+        var found = 0;
+
+        index.fields.forEach(function(field) {
+          if ((doc[field] || '').toLowerCase().indexOf(word) !== -1) {
+            found += weights[field] || 1;
+          }
+        });
+        score = score === -1 || !found ? -1 : score + found;
+      });
+      return { doc: doc, score: score };
+    }).filter(function(result) {
+      return result.score > 0;
+    }).sort(function(a, b) {
+      return b.score - a.score;
+    }).map(function(result) {
+      return result.doc;
+    });
+  }
+
+  function show() {
+    var query = input.value.trim(),
+        found;
+
+    results.innerHTML = '';
+    if (!query || !index) return;
+
+    found = search(query);
+    if (!found.length) {
+      results.appendChild(item(null, 'No pages found'));
+      return;
+    }
+    found.slice(0, maxResults).forEach(function(doc) {
+      results.appendChild(item(doc));
+    });
+  }
+
+  function item(doc, message) {
+    var li = document.createElement('li'),
+        link, excerpt;
+
+    if (!doc) {
+      li.textContent = message;
+      return li;
+    }
+
+    link = document.createElement('a');
+    link.href = doc.url;
+    link.textContent = doc.title;
+    li.appendChild(link);
+
+    excerpt = document.createElement('p');
+    excerpt.textContent = doc.text.slice(0, 160) +
+      (doc.text.length > 160 ? '\u2026' : '');
+    li.appendChild(excerpt);
+    return li;
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setUp);
+  } else {
+    setUp();
+  }
+})();
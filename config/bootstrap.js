@@ -22,6 +22,10 @@ module.exports.bootstrap = function(cb) {
   */
   sails.services.passport.loadStrategies();
 
+  // Start running builds from the database, including builds that were
+  // queued or running when the app last stopped
+  if (Build.queue.start && !sails.config.build.sqsQueue) Build.queue.start();
+
   // Use local tunnel for development
   if (sails.config.environment === 'development') {
     var localtunnel = require('localtunnel'), tunnel;
@@ -7,10 +7,43 @@ module.exports.build = {
   engine: process.env.FEDERALIST_BUILD_ENGINE ||'buildengine',
   cacheControl: process.env.FEDERALIST_CACHE_CONTROL || 'max-age=60',
   callback: process.env.FEDERALIST_BUILD_CALLBACK || 'http://localhost:1337/build/status/',
+  logCallback: process.env.FEDERALIST_BUILD_LOG_CALLBACK || 'http://localhost:1337/build/log/',
   token: process.env.FEDERALIST_BUILD_TOKEN,
   awsBuildKey: process.env.FEDERALIST_AWS_BUILD_KEY,
   awsBuildSecret: process.env.FEDERALIST_AWS_BUILD_SECRET,
   s3Bucket: process.env.FEDERALIST_S3_BUCKET,
   sqsQueue: process.env.FEDERALIST_SQS_QUEUE,
-  containerName: process.env.FEDERALIST_ECS_CONTAINER || 'builder'
+  containerName: process.env.FEDERALIST_ECS_CONTAINER || 'builder',
+  // Number of builds to run at once
+  concurrency: Number(process.env.FEDERALIST_BUILD_CONCURRENCY) || 1,
+  // Where to queue builds: 'memory', or 'postgres' to keep queued builds
+  // in the database and share them between instances of the app
+  queue: process.env.FEDERALIST_BUILD_QUEUE || 'memory',
+  // Seconds an instance can go without a heartbeat before the builds
+  // it's running are given to another instance
+  queueLease: Number(process.env.FEDERALIST_BUILD_QUEUE_LEASE) || 60,
+  // Seconds between checks for builds added by other instances
+  queuePollInterval: 10,
+  // Stop running builds of a branch when a newer build of it is added
+  cancelSuperseded: process.env.FEDERALIST_CANCEL_SUPERSEDED === 'true',
+  // Minutes a build can run before it is stopped, by engine.
+  // Sites can override this with their `buildTimeout` attribute.
+  timeout: {
+    jekyll: Number(process.env.FEDERALIST_JEKYLL_TIMEOUT) || 30,
+    hugo: Number(process.env.FEDERALIST_HUGO_TIMEOUT) || 15,
+    static: Number(process.env.FEDERALIST_STATIC_TIMEOUT) || 10,
+    node: Number(process.env.FEDERALIST_NODE_TIMEOUT) || 20
+  },
+  // Published versions of each site to keep, so sites can be rolled back
+  publishVersions: Number(process.env.FEDERALIST_PUBLISH_VERSIONS) || 5,
+  // Seconds the app caches the live version of each site in S3, so other
+  // instances serve a new version within that time
+  liveVersionCache: Number(process.env.FEDERALIST_LIVE_VERSION_CACHE) || 10,
+  // Days a repository mirror or gem cache can go unused before it is removed
+  cacheMaxAge: Number(process.env.FEDERALIST_BUILD_CACHE_MAX_AGE) || 7,
+  // npm cache shared by node builds, so dependencies are only downloaded
+  // once, and an optional registry mirror to download them from
+  npmCache: process.env.FEDERALIST_NPM_CACHE ||
+    (process.env.FEDERALIST_TEMP_DIR || './.tmp') + '/npm-cache',
+  npmRegistry: process.env.FEDERALIST_NPM_REGISTRY
 };
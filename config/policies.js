@@ -56,7 +56,12 @@ module.exports.policies = {
   BuildController: {
     'find': ['passport', 'sessionAuth', 'filterCurrentUser'],
     'findOne': ['passport', 'sessionAuth', 'filterCurrentUser'],
-    'status': ['buildCallback']
+    'status': ['buildCallback'],
+    'log': ['buildCallback'],
+    'logs': ['passport', 'sessionAuth', 'filterCurrentUser'],
+    'cancel': ['passport', 'sessionAuth', 'filterCurrentUser'],
+    'rebuild': ['passport', 'sessionAuth', 'filterCurrentUser'],
+    'rollback': ['passport', 'sessionAuth', 'filterCurrentUser']
   },
 
   SiteController: {
@@ -79,7 +84,8 @@ module.exports.policies = {
   },
 
   PreviewController: {
-    '*': ['passport', 'sessionAuth']
+    '*': ['passport', 'sessionAuth'],
+    'site': true
   },
 
   WebhookController: true
@@ -34,9 +34,20 @@ module.exports.routes = {
 
   'post /webhook/github': 'WebhookController.github',
   'post /build/status/:id/:token': 'BuildController.status',
+  'post /build/log/:id/:token': 'BuildController.log',
+
+  'get /v0/build/:id/log': 'BuildController.logs',
+  'post /v0/build/:id/cancel': 'BuildController.cancel',
+  'post /v0/build/:id/rebuild': 'BuildController.rebuild',
+  'post /v0/build/:id/rollback': 'BuildController.rollback',
 
   'get /preview/:owner/:repo/:branch': 'PreviewController.proxy',
   'get /preview/:owner/:repo/:branch/*': 'PreviewController.proxy',
+  'get /site/:owner/:repo': 'PreviewController.site',
+  'get /site/:owner/:repo/*': 'PreviewController.site',
+
+  // Published versions are only served through their branch's live site
+  'get /.versions/*': { response: 'notFound' },
 
   /*
   *
@@ -0,0 +1,24 @@
+var dbm = global.dbm || require('db-migrate');
+var type = dbm.dataType;
+
+exports.up = function(db, callback) {
+  var cmd = 'CREATE TABLE buildlog (' +
+    'id SERIAL PRIMARY KEY, ' +
+    'build integer, ' +
+    'output text, ' +
+    '"createdAt" timestamp with time zone, ' +
+    '"updatedAt" timestamp with time zone' +
+    '); ' +
+    'CREATE INDEX buildlog_build_idx ON buildlog (build)';
+  db.runSql(cmd, function(err) {
+    if (err) throw err;
+    callback();
+  });
+};
+
+exports.down = function(db, callback) {
+  db.runSql('DROP TABLE buildlog', function(err) {
+    if (err) throw err;
+    callback();
+  });
+};
@@ -0,0 +1,17 @@
+var dbm = global.dbm || require('db-migrate');
+var type = dbm.dataType;
+
+exports.up = function(db, callback) {
+  var cmd = 'ALTER TABLE build ADD COLUMN "supersededBy" integer';
+  db.runSql(cmd, function(err) {
+    if (err) throw err;
+    callback();
+  });
+};
+
+exports.down = function(db, callback) {
+  db.runSql('ALTER TABLE build DROP COLUMN "supersededBy"', function(err) {
+    if (err) throw err;
+    callback();
+  });
+};
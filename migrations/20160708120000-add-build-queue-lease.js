@@ -0,0 +1,21 @@
+var dbm = global.dbm || require('db-migrate');
+var type = dbm.dataType;
+
+exports.up = function(db, callback) {
+  var cmd = 'ALTER TABLE build ADD COLUMN "lockedBy" text, ' +
+    'ADD COLUMN "heartbeatAt" timestamp with time zone; ' +
+    'CREATE INDEX build_state_idx ON build (state);';
+  db.runSql(cmd, function(err) {
+    if (err) throw err;
+    callback();
+  });
+};
+
+exports.down = function(db, callback) {
+  var cmd = 'DROP INDEX build_state_idx; ' +
+    'ALTER TABLE build DROP COLUMN "lockedBy", DROP COLUMN "heartbeatAt";';
+  db.runSql(cmd, function(err) {
+    if (err) throw err;
+    callback();
+  });
+};
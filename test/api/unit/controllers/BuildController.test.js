@@ -0,0 +1,66 @@
+var assert = require('assert'),
+    sinon = require('sinon');
+
+describe('Build Controller', function() {
+  var build, req, res;
+
+  beforeEach(function() {
+    build = { id: 12, state: 'processing' };
+    req = {
+      body: {
+        message: new Buffer('').toString('base64'),
+        output: new Buffer('Building\n').toString('base64')
+      },
+      param: sinon.stub().returns(12)
+    };
+    res = {
+      ok: sinon.spy(),
+      status: sinon.stub().returnsThis(),
+      send: sinon.spy()
+    };
+    sinon.stub(Build, 'findOne').returns({
+      exec: function(done) {
+        done(null, build);
+      }
+    });
+    sinon.stub(Build, 'completeJob');
+    sinon.stub(BuildLog, 'create').yields(null);
+  });
+
+  afterEach(function() {
+    Build.findOne.restore();
+    Build.completeJob.restore();
+    BuildLog.create.restore();
+  });
+
+  describe('.log', function() {
+    it('should save output from external builders', function() {
+      sails.controllers.build.log(req, res);
+      assert(BuildLog.create.calledWith({ build: 12, output: 'Building\n' }));
+      assert(res.ok.called);
+    });
+
+    it('should tell builders to stop cancelled builds', function() {
+      build.state = 'cancelled';
+      sails.controllers.build.log(req, res);
+      assert(!BuildLog.create.called);
+      assert(res.status.calledWith(410));
+    });
+  });
+
+  describe('.status', function() {
+    it('should complete builds', function() {
+      sails.controllers.build.status(req, res);
+      assert(Build.completeJob.calledWith('', build));
+      assert(res.ok.called);
+    });
+
+    it('should tell builders not to publish cancelled builds', function() {
+      build.state = 'cancelled';
+      sails.controllers.build.status(req, res);
+      assert(!Build.completeJob.called);
+      assert(res.status.calledWith(410));
+    });
+  });
+
+});
@@ -0,0 +1,177 @@
+var assert = require('assert'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path'),
+    stream = require('stream'),
+    sinon = require('sinon'),
+    AWS = require('aws-sdk');
+
+describe('Preview Controller', function() {
+
+  // A response that calls back with its body once it's sent
+  function response(done) {
+    var res = new stream.PassThrough(),
+        body = '';
+
+    res.status = sinon.stub().returnsThis();
+    res.type = sinon.stub().returnsThis();
+    res.set = sinon.spy();
+    res.on('data', function(data) {
+      body += data;
+    });
+    res.on('end', function() {
+      done(body);
+    });
+    return res;
+  }
+
+  describe('.proxy for local sites', function() {
+    var publishDir, dir, res;
+
+    beforeEach(function() {
+      publishDir = sails.config.build.publishDir;
+      dir = path.resolve(sails.config.build.tempDir, 'preview-test');
+      execSync('mkdir -p ' + dir + '/preview/o/r/feature/x');
+      fs.writeFileSync(dir + '/preview/o/r/feature/x/index.html', 'Feature');
+      fs.writeFileSync(dir + '/preview/o/r/feature/x/404.html', 'Not found');
+      fs.writeFileSync(dir + '/preview/o/r/feature/x/' + HeaderRules.file,
+        JSON.stringify({ '/**/*.html': { 'X-Frame-Options': 'DENY' } }));
+      fs.writeFileSync(dir + '/preview/o/r/feature/x/' + Redirects.file,
+        JSON.stringify([{ from: '/old/', location: '/new/', status: 301 }]));
+      sails.config.build.publishDir = dir;
+      res = { set: sinon.spy(), redirect: sinon.spy() };
+    });
+
+    afterEach(function() {
+      sails.config.build.publishDir = publishDir;
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should serve branches with slashes in their names', function(done) {
+      sails.controllers.preview.proxy({
+        path: '/preview/o/r/feature/x/'
+      }, res, function() {
+        assert(res.set.calledWith({ 'x-frame-options': 'DENY' }));
+        done();
+      });
+    });
+
+    it('should redirect with the branch\'s redirects', function(done) {
+      res.redirect = function(status, location) {
+        assert.equal(status, 301);
+        assert.equal(location, '/new/');
+        done();
+      };
+      sails.controllers.preview.proxy({
+        path: '/preview/o/r/feature/x/old/'
+      }, res, function() {
+        done(new Error('The request wasn\'t redirected'));
+      });
+    });
+
+    it('should send the site\'s 404 page for missing files', function(done) {
+      var res = response(function(body) {
+        assert(res.status.calledWith(404));
+        assert.equal(body, 'Not found');
+        done();
+      });
+
+      sails.controllers.preview.proxy({
+        path: '/preview/o/r/feature/x/missing.html'
+      }, res, function() {
+        done(new Error('The site\'s 404 page wasn\'t sent'));
+      });
+    });
+
+    it('should add a slash to the branch\'s path', function(done) {
+      res.redirect = function(location) {
+        assert.equal(location, '/preview/o/r/feature/x/');
+        done();
+      };
+      sails.controllers.preview.proxy({
+        path: '/preview/o/r/feature/x'
+      }, res, function() {
+        done(new Error('The request wasn\'t redirected'));
+      });
+    });
+  });
+
+  describe('sites in S3', function() {
+    var client = Object.getPrototypeOf(new AWS.S3()),
+        bucket, objects;
+
+    beforeEach(function() {
+      objects = {
+        'versions/o/r/3/about/index.html': 'About',
+        'versions/o/r/3/404.html': 'Not found'
+      };
+      bucket = sails.config.build.s3Bucket;
+      sails.config.build.s3Bucket = 'bucket';
+      sinon.stub(S3, 'livePrefixes').yields(null,
+        ['preview/o/r/main', 'preview/o/r/feature/x']);
+      sinon.stub(S3, 'liveVersion').yields(null, 'o/r/3');
+      sinon.stub(client, 'getObject', function(params) {
+        return {
+          on: function() {
+            return this;
+          },
+          createReadStream: function() {
+            var body = new stream.PassThrough();
+
+            if (objects[params.Key]) {
+              body.end(objects[params.Key]);
+            } else {
+              setImmediate(function() {
+                body.emit('error', { statusCode: 404, message: 'Not Found' });
+              });
+            }
+            return body;
+          }
+        };
+      });
+    });
+
+    afterEach(function() {
+      sails.config.build.s3Bucket = bucket;
+      S3.livePrefixes.restore();
+      S3.liveVersion.restore();
+      client.getObject.restore();
+    });
+
+    it('should serve branches with slashes in their names', function() {
+      var res = new stream.PassThrough();
+
+      sails.controllers.preview.proxy({
+        path: '/preview/o/r/feature/x/about/'
+      }, res);
+      assert(S3.livePrefixes.calledWith('preview/o/r'));
+      assert(S3.liveVersion.calledWith('preview/o/r/feature/x'));
+      assert.equal(client.getObject.args[0][0].Key,
+        'versions/o/r/3/about/index.html');
+    });
+
+    it('should send the site\'s 404 page for missing files', function(done) {
+      var res = response(function(body) {
+        assert(res.status.calledWith(404));
+        assert.equal(client.getObject.args[1][0].Key,
+          'versions/o/r/3/404.html');
+        assert.equal(body, 'Not found');
+        done();
+      });
+
+      sails.controllers.preview.site({ path: '/site/o/r/missing.html' }, res);
+    });
+
+    it('should send the app\'s 404 page without the site\'s', function(done) {
+      var res = response(function() {});
+
+      delete objects['versions/o/r/3/404.html'];
+      res.notFound = function() {
+        assert(res.status.calledWith(404));
+        done();
+      };
+      sails.controllers.preview.site({ path: '/site/o/r/missing.html' }, res);
+    });
+  });
+
+});
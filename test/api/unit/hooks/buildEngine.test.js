@@ -0,0 +1,738 @@
+var assert = require('assert'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path'),
+    sinon = require('sinon');
+
+describe('Build Engine Hook', function() {
+
+  describe('.static', function() {
+    var engine, repo;
+
+    before(function() {
+      engine = sails.hooks.buildengine;
+      repo = path.resolve(sails.config.build.tempDir, 'engine-test-repo');
+      execSync([
+        'rm -rf ' + repo,
+        'mkdir -p ' + repo + '/site/docs',
+        'cd ' + repo,
+        'git init -q',
+        'echo hello > site/index.html',
+        'echo docs > site/docs/index.html',
+        'echo \'{ "output": "site", "ignore": ["docs"] }\' > federalist.json',
+        'git add .',
+        'git -c user.name=test -c user.email=test@example.com commit -qm test'
+      ].join(' && '));
+      sinon.stub(engine, '_repositoryURL').returns(repo);
+    });
+
+    after(function() {
+      engine._repositoryURL.restore();
+      execSync('rm -rf ' + repo + ' ' +
+        path.dirname(engine._mirrorPath('o', 'r')));
+    });
+
+    it('should build the site with its build config', function(done) {
+      var branch = execSync('git -C ' + repo + ' rev-parse --abbrev-ref HEAD')
+            .toString().trim(),
+          model = {
+            id: 201,
+            branch: branch,
+            site: {
+              owner: 'o',
+              repository: 'r',
+              engine: 'static',
+              defaultBranch: branch
+            },
+            user: {}
+          };
+
+      sinon.stub(engine, 'publish', function(tokens, model, done) {
+        engine.publish.restore();
+        assert.deepEqual(fs.readdirSync(tokens.destination), ['index.html']);
+        assert.deepEqual(model.linkReport, {
+          pages: 1, links: 0, broken: 0, problems: []
+        });
+        done(null, model);
+      });
+
+      engine.static(model, function(err) {
+        assert(!fs.existsSync(engine._workspace(model)));
+        assert(fs.existsSync(engine._mirrorPath('o', 'r') + '/HEAD'));
+        assert(!fs.existsSync(engine._mirrorPath('o', 'r') + '.lock'));
+        done(err);
+      });
+    });
+
+    it('should time out builds for the engine their build config names',
+      function(done) {
+        var branch = execSync('git -C ' + repo +
+              ' rev-parse --abbrev-ref HEAD').toString().trim(),
+            model = {
+              id: 202,
+              branch: branch,
+              site: {
+                owner: 'o',
+                repository: 'r',
+                engine: 'jekyll',
+                defaultBranch: branch
+              },
+              user: {}
+            },
+            read = BuildConfig.read;
+
+        sinon.stub(BuildConfig, 'read', function(dir, done) {
+          read.call(BuildConfig, dir, function(err, config) {
+            done(err, config && _.extend(config, { engine: 'static' }));
+          });
+        });
+        sinon.stub(engine, 'publish', function(tokens, model, done) {
+          done(null, model);
+        });
+        sinon.spy(global, 'setTimeout');
+
+        engine.jekyll(model, function(err) {
+          var delays = _.pluck(setTimeout.args, 1);
+
+          setTimeout.restore();
+          engine.publish.restore();
+          BuildConfig.read.restore();
+          assert(_.contains(delays, sails.config.build.timeout.jekyll * 60000));
+          assert(_.some(delays, function(delay) {
+            return delay <= sails.config.build.timeout.static * 60000 &&
+              delay > (sails.config.build.timeout.static - 1) * 60000;
+          }));
+          done(err);
+        });
+      });
+
+    it('should keep the mirror when a branch can\'t be cloned',
+      function(done) {
+        var source = path.resolve(sails.config.build.tempDir, 'mirror-test');
+
+        engine._mirror({ branch: 'missing', source: source }, 'o', 'r', {},
+          sinon.spy(), function(err) {
+            assert(err);
+            assert(fs.existsSync(engine._mirrorPath('o', 'r') + '/HEAD'));
+            execSync('rm -rf ' + source);
+            done();
+          });
+      });
+
+    it('should remove the mirror when it is corrupt', function(done) {
+      var source = path.resolve(sails.config.build.tempDir, 'mirror-test'),
+          mirror = engine._mirrorPath('o', 'r');
+
+      execSync('find ' + mirror + '/objects -type f -exec chmod u+w {} \\; ' +
+        '-exec sh -c \'echo corrupt > "$0"\' {} \\;');
+      engine._mirror({ branch: 'missing', source: source }, 'o', 'r', {},
+        sinon.spy(), function(err) {
+          assert(err);
+          assert(!fs.existsSync(mirror));
+          execSync('rm -rf ' + source);
+          done();
+        });
+    });
+  });
+
+  describe('.publish', function() {
+    var engine, publishDir, destination, site;
+
+    function publish(id, content, done) {
+      var model = { id: id, branch: 'master', site: site },
+          tokens = _.extend(engine._publishTokens(model), {
+            destination: destination
+          });
+
+      fs.writeFileSync(destination + '/index.html', content);
+      engine.publish(tokens, model, function(err) {
+        done(err, model, tokens);
+      });
+    }
+
+    before(function() {
+      engine = sails.hooks.buildengine;
+      publishDir = sails.config.build.publishDir;
+      sails.config.build.publishDir = path.resolve(sails.config.build.tempDir,
+        'publish-test');
+      destination = sails.config.build.publishDir + '/destination';
+      site = { id: 1, owner: 'o', repository: 'r', defaultBranch: 'master' };
+      execSync('mkdir -p ' + destination);
+      sinon.stub(engine, '_pruneVersions').yields(null);
+    });
+
+    after(function() {
+      engine._pruneVersions.restore();
+      execSync('rm -rf ' + sails.config.build.publishDir);
+      sails.config.build.publishDir = publishDir;
+    });
+
+    it('should publish each build as a version and make it live',
+      function(done) {
+        publish(301, 'first', function(err) {
+          if (err) return done(err);
+          publish(302, 'second', function(err, model, tokens) {
+            assert.equal(model.version, 'o/r/302');
+            assert.equal(fs.readlinkSync(tokens.publish),
+              engine._versionPath('o/r/302'));
+            assert.equal(fs.readFileSync(tokens.publish + '/index.html',
+              'utf8'), 'second');
+            assert(fs.existsSync(engine._versionPath('o/r/301')));
+            done(err);
+          });
+        });
+      });
+
+    it('should roll back to an earlier version', function(done) {
+      var model = { id: 301, branch: 'master', site: site, version: 'o/r/301' },
+          tokens = engine._publishTokens(model);
+
+      engine.rollback(model, function(err) {
+        assert.equal(fs.readFileSync(tokens.publish + '/index.html', 'utf8'),
+          'first');
+        engine._liveVersion(tokens, function(error, version) {
+          assert.equal(version, 'o/r/301');
+          done(err || error);
+        });
+      });
+    });
+
+    it('should not replace a newer live version', function(done) {
+      publish(300, 'older', function(err, model, tokens) {
+        assert.equal(model.version, 'o/r/300');
+        assert(fs.existsSync(engine._versionPath('o/r/300')));
+        engine._liveVersion(tokens, function(error, version) {
+          assert.equal(version, 'o/r/301');
+          done(err || error);
+        });
+      });
+    });
+
+    it('should not roll back to builds that are no longer kept',
+      function(done) {
+        engine.rollback({ id: 300, branch: 'master', site: site },
+          function(err) {
+            assert(/no longer kept/.test(err.message));
+            done();
+          });
+      });
+  });
+
+  describe('._pruneVersions', function() {
+    var engine, versions;
+
+    before(function() {
+      engine = sails.hooks.buildengine;
+      versions = ['o/r/301', 'o/r/302', 'o/r/303'];
+      execSync('mkdir -p ' + versions.map(engine._versionPath).join(' '));
+      sinon.stub(Build, 'find').returns({
+        sort: function() {
+          return {
+            exec: function(done) {
+              done(null, [303, 302, 301].map(function(id) {
+                return { id: id, branch: 'master', version: 'o/r/' + id };
+              }));
+            }
+          };
+        }
+      });
+      sinon.stub(Build, 'update').yields(null);
+      sinon.stub(engine, '_liveVersion').yields(null, 'o/r/301');
+    });
+
+    after(function() {
+      Build.find.restore();
+      Build.update.restore();
+      engine._liveVersion.restore();
+      execSync('rm -rf ' + engine._versionPath('o'));
+    });
+
+    it('should remove old versions that are not live', function(done) {
+      var keep = sails.config.build.publishVersions;
+
+      sails.config.build.publishVersions = 2;
+      engine._pruneVersions({
+        id: 304,
+        site: { id: 1, owner: 'o', repository: 'r', defaultBranch: 'master' }
+      }, function(err) {
+        sails.config.build.publishVersions = keep;
+        assert.deepEqual(versions.map(function(version) {
+          return fs.existsSync(engine._versionPath(version));
+        }), [true, false, true]);
+        assert(Build.update.calledOnce);
+        assert.deepEqual(Build.update.args[0].slice(0, 2),
+          [{ id: 302 }, { version: null }]);
+        done(err);
+      });
+    });
+  });
+
+  describe('._optimize', function() {
+    var tokens, log;
+
+    beforeEach(function() {
+      tokens = {
+        baseurl: '/site/o/r',
+        destination: path.resolve(sails.config.build.tempDir, 'optimize-test')
+      };
+      log = sinon.spy();
+      execSync('mkdir -p ' + tokens.destination);
+      fs.writeFileSync(tokens.destination + '/index.html',
+        '<p>\n  <a href="site.css">Styles</a>\n</p>\n<!-- comment -->\n');
+      fs.writeFileSync(tokens.destination + '/site.css',
+        'body {\n  color: red;\n}\n');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + tokens.destination);
+    });
+
+    it('should save the stats and log the bytes saved', function(done) {
+      var model = { site: {} };
+
+      sails.hooks.buildengine._optimize(tokens, {}, model, {}, log,
+        function(err) {
+          assert.deepEqual(model.optimizeStats, {
+            files: 2, before: 81, after: 54, fingerprinted: 0
+          });
+          assert(log.calledWith('Optimized 2 files, saving 0 KB\n'));
+          done(err);
+        });
+    });
+
+    it('should optimize the site in a child process', function(done) {
+      var job = {},
+          model = { site: {} };
+
+      sinon.stub(AssetOptimizer, 'optimize').throws();
+      sails.hooks.buildengine._optimize(tokens, {}, model, job, log,
+        function(err) {
+          AssetOptimizer.optimize.restore();
+          assert.equal(model.optimizeStats.files, 2);
+          assert.equal(job.child, null);
+          done(err);
+        });
+    });
+
+    it('should stop optimizing when the build is cancelled', function(done) {
+      var job = {};
+
+      sails.hooks.buildengine._optimize(tokens, {}, { site: {} }, job, log,
+        function(err) {
+          assert(/stopped with SIGKILL/.test(err.message));
+          done();
+        });
+      sails.hooks.buildengine._kill(job.child);
+    });
+
+    it('should fingerprint assets if the build config asks to',
+      function(done) {
+        var model = { site: {} };
+
+        sails.hooks.buildengine._optimize(tokens, { fingerprint: true }, model,
+          {}, log, function(err) {
+            assert.equal(model.optimizeStats.fingerprinted, 1);
+            assert(/href="site\.[0-9a-f]{8}\.css"/.test(fs.readFileSync(
+              tokens.destination + '/index.html', 'utf8')));
+            done(err);
+          });
+      });
+  });
+
+  describe('._checkLinks', function() {
+    var tokens, log;
+
+    beforeEach(function() {
+      tokens = {
+        baseurl: '/site/o/r',
+        redirects: [],
+        destination: path.resolve(sails.config.build.tempDir,
+          'check-links-test')
+      };
+      log = sinon.spy();
+      execSync('mkdir -p ' + tokens.destination);
+      fs.writeFileSync(tokens.destination + '/index.html',
+        '<a href="missing.html">Missing</a>');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + tokens.destination);
+    });
+
+    it('should save the report and log broken links', function(done) {
+      var model = { site: {} };
+
+      sails.hooks.buildengine._checkLinks(tokens, model, {}, log,
+        function(err) {
+          assert.equal(model.linkReport.broken, 1);
+          assert(log.calledWith('/index.html: missing.html (not found)\n'));
+          done(err);
+        });
+    });
+
+    it('should fail builds of sites that fail on broken links',
+      function(done) {
+        var model = { site: { failOnBrokenLinks: true } };
+
+        sails.hooks.buildengine._checkLinks(tokens, model, {}, log,
+          function(err) {
+            assert.equal(err.message, 'Found 1 broken internal link');
+            assert.equal(model.linkReport.broken, 1);
+            done();
+          });
+      });
+  });
+
+  describe('._audit', function() {
+    var tokens, log;
+
+    beforeEach(function() {
+      tokens = {
+        root: 'site',
+        destination: path.resolve(sails.config.build.tempDir, 'audit-test')
+      };
+      log = sinon.spy();
+      execSync('mkdir -p ' + tokens.destination);
+      fs.writeFileSync(tokens.destination + '/index.html',
+        '<html><img src="logo.png"></html>');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + tokens.destination);
+    });
+
+    it('should save the report and log problems', function(done) {
+      var model = { site: {} };
+
+      sails.hooks.buildengine._audit(tokens, model, {}, log, function(err) {
+        assert.equal(model.accessibilityReport.violations, 2);
+        assert(log.calledWith('/index.html: Image has no alt text: ' +
+          '<img src="logo.png">\n'));
+        done(err);
+      });
+    });
+
+    it('should fail default branch builds over the site threshold',
+      function(done) {
+        var model = { site: { accessibilityThreshold: 1 } };
+
+        sails.hooks.buildengine._audit(tokens, model, {}, log, function(err) {
+          assert.equal(err.message, 'Found 2 accessibility problems, more ' +
+            'than the 1 the site allows on its default branch');
+
+          // Previews are published whatever their problems
+          tokens.root = 'preview';
+          sails.hooks.buildengine._audit(tokens, model, {}, log, done);
+        });
+      });
+  });
+
+  describe('._fork', function() {
+    var dir;
+
+    beforeEach(function() {
+      dir = path.resolve(sails.config.build.tempDir, 'fork-test');
+      execSync('mkdir -p ' + dir);
+      fs.writeFileSync(dir + '/index.html', '<title>Home</title>');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should write the search index in a child process', function(done) {
+      sails.hooks.buildengine._fork('SearchIndex', 'write', [dir, {
+        baseurl: '/site/o/r'
+      }], {}, function(err, pages) {
+        assert.equal(pages, 1);
+        assert(fs.existsSync(dir + '/' + SearchIndex.index));
+        assert(fs.existsSync(dir + '/' + SearchIndex.widget));
+        done(err);
+      });
+    });
+
+    it('should pass errors back from the child process', function(done) {
+      sails.hooks.buildengine._fork('SearchIndex', 'write', [dir + '/missing',
+        {}], {}, function(err) {
+          assert(/ENOENT/.test(err.message));
+          done();
+        });
+    });
+  });
+
+  describe('._pruneCaches', function() {
+    it('should remove caches that have not been used', function(done) {
+      var engine = sails.hooks.buildengine,
+          tempDir = sails.config.build.tempDir,
+          unused = engine._mirrorPath('prune-test', 'unused'),
+          used = engine._mirrorPath('prune-test', 'used'),
+          gems = path.resolve(tempDir, 'bundles', 'prune-test', 'site', 'abc'),
+          time = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+      execSync('mkdir -p ' + [unused, used, gems].join(' '));
+      fs.utimesSync(unused, time, time);
+      fs.utimesSync(gems, time, time);
+
+      engine._pruneCaches(function(err, removed) {
+        var exists = [unused, used, gems].map(fs.existsSync);
+        execSync('rm -rf ' + path.dirname(unused) + ' ' +
+          path.resolve(tempDir, 'bundles', 'prune-test'));
+        assert.deepEqual(removed, [unused, gems]);
+        assert.deepEqual(exists, [false, true, false]);
+        done(err);
+      });
+    });
+  });
+
+  describe('._bundle', function() {
+    var engine, source;
+
+    before(function() {
+      engine = sails.hooks.buildengine;
+      source = path.resolve(sails.config.build.tempDir, 'bundle-test');
+      execSync('mkdir -p ' + source);
+    });
+
+    after(function() {
+      execSync('rm -rf ' + source);
+    });
+
+    it('should use the platform gems without a Gemfile', function(done) {
+      var env = {};
+      engine._bundle({ source: source }, env, {}, function() {}, function(err) {
+        assert.equal(env.BUNDLE_GEMFILE, path.resolve('Gemfile'));
+        assert(!env.BUNDLE_PATH);
+        done(err);
+      });
+    });
+
+    it('should install the site gems into a cache', function(done) {
+      var env = {},
+          tokens = { source: source, owner: 'o', repository: 'r' };
+
+      fs.writeFileSync(source + '/Gemfile', "gem 'jekyll'");
+      fs.writeFileSync(source + '/Gemfile.lock', 'jekyll (3.1.6)');
+      sinon.stub(engine, '_steps', function(steps, job, log, next) {
+        engine._steps.restore();
+        next(new Error('Command failed: bundle install'));
+      });
+
+      engine._bundle(tokens, env, {}, function() {}, function(err) {
+        assert.equal(env.BUNDLE_GEMFILE, source + '/Gemfile');
+        assert.equal(path.dirname(env.BUNDLE_PATH), path.resolve(
+          sails.config.build.tempDir, 'bundles', 'o', 'r'));
+        assert.equal(env.BUNDLE_FROZEN, 'true');
+        assert(/^Unable to install the gems in the site's Gemfile/
+          .test(err.message));
+        done();
+      });
+    });
+  });
+
+  describe('._hugoConfig', function() {
+    var engine, source;
+
+    before(function() {
+      engine = sails.hooks.buildengine;
+      source = path.resolve(sails.config.build.tempDir, 'hugo-test');
+      execSync('mkdir -p ' + source + ' && touch ' + source + '/config.toml');
+    });
+
+    after(function() {
+      execSync('rm -rf ' + source);
+    });
+
+    it('should let Hugo find its config without custom configuration',
+      function(done) {
+        engine._hugoConfig({
+          source: source,
+          siteConfig: SiteConfig.parse('hugo', '')
+        }, { config: [] }, function(err, files) {
+          assert.deepEqual(files, []);
+          done(err);
+        });
+      });
+
+    it('should merge custom configuration over the site config',
+      function(done) {
+        var tokens = {
+          source: source,
+          config: 'title = "Example"',
+          siteConfig: SiteConfig.parse('hugo', 'title = "Example"')
+        };
+
+        engine._hugoConfig(tokens, { config: ['extra.toml'] },
+          function(err, files) {
+            assert.deepEqual(files, [
+              source + '/config.toml',
+              source + '/extra.toml',
+              source + '/_config_federalist.toml'
+            ]);
+            assert.equal(fs.readFileSync(files[2], 'utf8'), tokens.config);
+            done(err);
+          });
+      });
+  });
+
+  describe('engines without a build config', function() {
+    var engine, source;
+
+    before(function() {
+      engine = sails.hooks.buildengine;
+      source = path.resolve(sails.config.build.tempDir, 'no-config-test');
+      execSync('mkdir -p ' + source);
+    });
+
+    after(function() {
+      execSync('rm -rf ' + source);
+    });
+
+    it('should build Jekyll sites with their own config', function(done) {
+      BuildConfig.read(source, function(err, config) {
+        var steps = engine.engines.jekyll.steps.call(engine, {
+              source: source
+            }, config, {}, sinon.spy()),
+            args = _.last(steps);
+
+        assert.equal(args[args.indexOf('--config') + 1],
+          source + '/_config.yml,' + source + '/_config_base.yml');
+        done(err);
+      });
+    });
+
+    it('should build Hugo sites with their own config', function(done) {
+      BuildConfig.read(source, function(err, config) {
+        var steps = engine.engines.hugo.steps.call(engine, {
+          source: source,
+          baseurl: '',
+          siteConfig: SiteConfig.parse('hugo', '')
+        }, config);
+
+        if (err) return done(err);
+        steps[0](function(err) {
+          assert.deepEqual(_.initial(steps[1]), ['hugo', '--baseUrl=',
+            '--source=' + source]);
+          done(err);
+        });
+      });
+    });
+  });
+
+  describe('.engines.node', function() {
+    it('should install dependencies and run the build script', function(done) {
+      var engine = sails.hooks.buildengine,
+          tokens = { source: 'source', baseurl: '/preview/o/r/b', branch: 'b' },
+          steps = engine.engines.node.steps.call(engine, tokens, {
+            script: 'federalist',
+            env: { NODE_ENV: 'production' }
+          }),
+          options = _.last(steps[1]);
+
+      assert.deepEqual(steps[0].slice(0, 2), ['npm', 'ci']);
+      assert.deepEqual(_.initial(steps[1]), ['npm', 'run', 'federalist']);
+      assert.equal(options.cwd, 'source');
+      assert.equal(options.env.BASEURL, '/preview/o/r/b');
+      assert.equal(options.env.NODE_ENV, 'production');
+      done();
+    });
+
+    it('should not pass the app\'s secrets to build commands', function() {
+      var engine = sails.hooks.buildengine,
+          secrets = ['GITHUB_CLIENT_SECRET', 'GITHUB_WEBHOOK_SECRET',
+            'FEDERALIST_BUILD_TOKEN', 'AWS_SECRET_ACCESS_KEY'],
+          saved = _.pick(process.env, secrets),
+          options;
+
+      _.each(secrets, function(name) {
+        process.env[name] = 'secret';
+      });
+      process.env.BUNDLE_JOBS = '4';
+      options = engine._commandOptions({ source: 'source', branch: 'b' }, {
+        env: { NODE_ENV: 'production' }
+      });
+      _.each(secrets, function(name) {
+        delete process.env[name];
+      });
+      delete process.env.BUNDLE_JOBS;
+      _.extend(process.env, saved);
+
+      assert.deepEqual(_.intersection(_.keys(options.env), secrets), []);
+      assert.equal(options.env.PATH, process.env.PATH);
+      assert.equal(options.env.BUNDLE_JOBS, '4');
+      assert.equal(options.env.NODE_ENV, 'production');
+      assert.equal(options.env.BRANCH, 'b');
+    });
+  });
+
+  describe('._steps', function() {
+    it('should run commands without a shell', function(done) {
+      var output = '';
+      sails.hooks.buildengine._steps([
+        ['echo', '$(whoami); echo unsafe']
+      ], {}, function(data) {
+        output += data;
+      }, function(err) {
+        assert.equal(output,
+          '$ echo $(whoami); echo unsafe\n$(whoami); echo unsafe\n');
+        done(err);
+      });
+    });
+
+    it('should stop at the first failing step', function(done) {
+      var ran = false;
+      sails.hooks.buildengine._steps([
+        ['false'],
+        function(next) {
+          ran = true;
+          next();
+        }
+      ], {}, function() {}, function(err) {
+        assert(/^Command failed: false/.test(err.message));
+        assert(!ran);
+        done();
+      });
+    });
+  });
+
+  describe('._janitor', function() {
+    var engine, dir;
+
+    before(function() {
+      engine = sails.hooks.buildengine;
+      dir = sails.config.build.tempDir + '/builds';
+    });
+
+    function workspace(id, age) {
+      var time = new Date(Date.now() - age * 60 * 1000),
+          path = dir + '/' + id;
+      fs.mkdirSync(path);
+      fs.utimesSync(path, time, time);
+    }
+
+    it('should remove stale working directories', function(done) {
+      var exists;
+
+      if (!fs.existsSync(sails.config.build.tempDir)) {
+        fs.mkdirSync(sails.config.build.tempDir);
+      }
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+      workspace(101, 60 * 24);
+      workspace(102, 60 * 24);
+      workspace(103, 1);
+      engine.jobs[102] = {};
+
+      engine._janitor(function(err, removed) {
+        delete engine.jobs[102];
+        exists = [101, 102, 103].map(function(id) {
+          return fs.existsSync(dir + '/' + id);
+        });
+        engine._clean({ workspace: dir }, function() {
+          assert.deepEqual(removed, ['101']);
+          assert.deepEqual(exists, [false, true, true]);
+          done(err);
+        });
+      });
+    });
+  });
+
+});
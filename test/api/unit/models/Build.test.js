@@ -14,7 +14,7 @@ describe('Build Model', function() {
   });
 
   describe('.queue', function() {
-    it('should be an async queue', function(done) {
+    it('should be a build queue', function(done) {
       assert.equal(Build.queue.tasks.length, 0);
       done();
     });
@@ -30,6 +30,81 @@ describe('Build Model', function() {
     });
   });
 
+  describe('.addJob superseding', function() {
+    it('should replace queued job for the same branch', function(done) {
+      var completeJob = Build.completeJob,
+          site = { id: 7, engine: 'jekyll' };
+      Build.queue.pause();
+      Build.queue.push({ id: 8, branch: 'master', site: site, user: {} });
+      Build.completeJob = sinon.spy(function(err, model, state) {
+        Build.completeJob = completeJob;
+        Build.queue.tasks = [];
+        Build.queue.resume();
+        assert.equal(model.id, 8);
+        assert.equal(model.supersededBy, 9);
+        assert.equal(state, 'superseded');
+        done();
+      });
+      Build.addJob({ id: 9, branch: 'master', site: site, user: {} });
+    });
+  });
+
+  describe('.cancelJob', function() {
+    it('should remove queued job', function(done) {
+      var completeJob = Build.completeJob;
+      Build.queue.pause();
+      Build.queue.push({ id: 5, site: {}, user: {} });
+      Build.completeJob = sinon.spy(function(err, model, state) {
+        Build.completeJob = completeJob;
+        Build.queue.resume();
+        assert.equal(model.id, 5);
+        assert.equal(state, 'cancelled');
+        assert.equal(Build.queue.tasks.length, 0);
+        done();
+      });
+      Build.cancelJob({ id: 5 }, function() {});
+    });
+
+    it('should mark a build that is not queued here cancelled', function(done) {
+      var completeJob = Build.completeJob,
+          spy = Build.completeJob = sinon.spy();
+      Build.cancelJob({ id: 6 }, function(err) {
+        Build.completeJob = completeJob;
+        assert(spy.calledWith(null, { id: 6 }, 'cancelled'));
+        done(err);
+      });
+    });
+  });
+
+  describe('.isValidBranch', function() {
+    it('should accept branch names git accepts', function(done) {
+      ['master', 'feature/new-page', 'v1.0', 'fix_#12'].forEach(function(name) {
+        assert(Build.isValidBranch(name), name);
+      });
+      done();
+    });
+
+    it('should reject unsafe branch names', function(done) {
+      [
+        '', '-x', '--upload-pack=touch /tmp/x', 'a b', '../etc',
+        'a/../b', 'a..b', '.hidden', 'a/.b', 'a/', 'a.lock', 'a\nb', 'a~1',
+        'a^', 'a:b', 'a?', 'a*', 'a[b', 'a\\b', 'a@{1}', '@', undefined
+      ].forEach(function(name) {
+        assert(!Build.isValidBranch(name), name);
+      });
+      done();
+    });
+  });
+
+  describe('.create', function() {
+    it('should not save builds of invalid branches', function(done) {
+      Build.create({ site: 1, user: 1, branch: '$(touch /tmp/x)' }, function(err) {
+        assert(err.invalidAttributes.branch);
+        done();
+      });
+    });
+  });
+
   describe('.completeJob', function() {
     it('should save updated model', function(done) {
       var findOne = Build.findOne;
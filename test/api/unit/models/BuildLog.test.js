@@ -0,0 +1,68 @@
+var assert = require('assert'),
+    sinon = require('sinon');
+
+describe('BuildLog Model', function() {
+
+  describe('.afterCreate', function() {
+    it('should stream output to the build log room', function(done) {
+      sinon.stub(sails.sockets, 'broadcast');
+      BuildLog.afterCreate({ build: 1, output: 'output' }, function() {
+        var args = sails.sockets.broadcast.firstCall.args;
+        sails.sockets.broadcast.restore();
+        assert.equal(args[0], BuildLog.streamRoom(1));
+        assert.equal(args[1], 'buildlog');
+        done();
+      });
+    });
+  });
+
+  describe('.redact', function() {
+    it('should remove tokens from GitHub URLs', function(done) {
+      var output = BuildLog.redact('Cloning https://abc123@github.com/18f/federalist.git');
+      assert.equal(output,
+        'Cloning https://[token_redacted]@github.com/18f/federalist.git');
+      done();
+    });
+
+    it('should remove secrets from output', function(done) {
+      var output = BuildLog.redact('token abc123 printed', ['abc123', '']);
+      assert.equal(output, 'token [token_redacted] printed');
+      done();
+    });
+  });
+
+  describe('.writer', function() {
+    it('should save redacted output to the build log', function(done) {
+      var create = BuildLog.create;
+      BuildLog.create = sinon.spy(function(values, cb) {
+        BuildLog.create = create;
+        assert.equal(values.build, 1);
+        assert.equal(values.output, 'using [token_redacted]\n');
+        cb();
+        done();
+      });
+      BuildLog.writer({ id: 1 }, ['abc123'])(new Buffer('using abc123\n'));
+    });
+  });
+
+  describe('.findForBuild', function() {
+    it('should return log chunks in order', function(done) {
+      BuildLog.destroy({ build: [2, 3] }).exec(function(err) {
+        if (err) return done(err);
+        BuildLog.create([
+          { build: 2, output: 'first' },
+          { build: 2, output: 'second' },
+          { build: 3, output: 'other' }
+        ], function(err) {
+          if (err) return done(err);
+          BuildLog.findForBuild(2, function(err, logs) {
+            if (err) return done(err);
+            assert.deepEqual(_.pluck(logs, 'output'), ['first', 'second']);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+});
@@ -27,4 +27,17 @@ describe('Site Model', function() {
     });
   });
 
+  describe('.validate', function() {
+    it('should check custom configuration for the engine', function(done) {
+      Site.validate({
+        owner: 'o', repository: 'r', engine: 'static', config: 'title: x'
+      }, function(err) {
+        assert(err.invalidAttributes.config);
+        Site.validate({
+          owner: 'o', repository: 'r', engine: 'jekyll', config: 'title: x'
+        }, done);
+      });
+    });
+  });
+
 });
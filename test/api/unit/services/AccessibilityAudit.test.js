@@ -0,0 +1,80 @@
+var assert = require('assert'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path');
+
+describe('AccessibilityAudit Service', function() {
+
+  describe('.check', function() {
+    function rules(html) {
+      return _.pluck(AccessibilityAudit.check('<html lang="en">' + html +
+        '</html>'), 'rule');
+    }
+
+    it('should pass pages without problems', function() {
+      assert.deepEqual(rules([
+        '<h1>Title</h1><h2>Section</h2><h3>Part</h3><h2>Section</h2>',
+        '<img src="logo.png" alt=""><img src="chart.png" alt="Chart">',
+        '<a href="/"><img src="home.png" alt="Home"></a>',
+        '<a href="/search" aria-label="Search"><span class="icon"></span></a>',
+        '<a name="top"></a>',
+        '<label for="q">Search</label><input id="q" type="text">',
+        '<label>Email <input type="email"></label>',
+        '<input type="hidden" name="token"><input type="submit">'
+      ].join('')), []);
+    });
+
+    it('should find each kind of problem', function() {
+      var problems = AccessibilityAudit.check([
+        '<html>',
+        '<h1>Title</h1><h3>Part</h3>',
+        '<img src="logo.png">',
+        '<a href="/next"> </a>',
+        '<input id="q" type="text"><select name="state"></select>',
+        '<p id="intro"></p><div id="intro"></div>',
+        '</html>'
+      ].join(''));
+
+      assert.deepEqual(_.pluck(problems, 'message'), [
+        'Heading skips a level: h3 follows h1',
+        'Image has no alt text: <img src="logo.png">',
+        'Link has no text: <a href="/next">',
+        'ID is used more than once: <div id="intro">',
+        'Form field has no label: <input id="q">',
+        'Form field has no label: <select name="state">',
+        'Page has no lang attribute: <html>'
+      ]);
+      assert.deepEqual(_.pluck(problems, 'rule'), [
+        'heading-order', 'image-alt', 'link-name', 'duplicate-id', 'label',
+        'label', 'html-lang'
+      ]);
+    });
+  });
+
+  describe('.audit', function() {
+    var dir;
+
+    beforeEach(function() {
+      dir = path.resolve(sails.config.build.tempDir, 'audit-test');
+      execSync('mkdir -p ' + dir + '/about');
+      fs.writeFileSync(dir + '/index.html', '<html lang="en"></html>');
+      fs.writeFileSync(dir + '/about/index.html', '<img src="team.png">');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should report the problems on each page', function(done) {
+      AccessibilityAudit.audit(dir, function(err, report) {
+        assert.equal(report.pages, 2);
+        assert.equal(report.violations, 2);
+        assert.deepEqual(_.pluck(report.problems, 'page'), [
+          '/about/index.html', '/about/index.html'
+        ]);
+        done(err);
+      });
+    });
+  });
+
+});
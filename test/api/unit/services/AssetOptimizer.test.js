@@ -0,0 +1,122 @@
+var assert = require('assert'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path');
+
+describe('AssetOptimizer Service', function() {
+
+  describe('.minify', function() {
+    it('should minify pages and the styles and scripts in them', function() {
+      // Whitespace between elements can be significant, so it's collapsed
+      // rather than removed
+      assert.equal(AssetOptimizer.minify('html', [
+        '<!-- comment -->',
+        '<p>\n  Some  <em>text</em>\n</p>',
+        '<style>\n  body { color: red; }\n</style>',
+        '<script>\n  var answer = 40 + 2;\n</script>'
+      ].join('\n')), ' <p> Some <em>text</em> </p> ' +
+        '<style>body{color:red}</style> <script>var answer=42;</script>');
+    });
+
+    it('should minify stylesheets', function() {
+      assert.equal(AssetOptimizer.minify('css',
+        '/* comment */\na {\n  color: #ff0000;\n  margin: 0px;\n}\n'),
+        'a{color:red;margin:0}');
+    });
+
+    it('should minify scripts, keeping license comments', function() {
+      assert.equal(AssetOptimizer.minify('js',
+        '/*! MIT License */\nfunction add(first, second) {\n' +
+        '  // Add them\n  return first + second;\n}\n'),
+        '/*! MIT License */\nfunction add(n,d){return n+d}');
+    });
+
+    it('should throw on scripts it can\'t parse', function() {
+      assert.throws(function() {
+        AssetOptimizer.minify('js', 'function (');
+      });
+    });
+  });
+
+  describe('.fingerprintLink', function() {
+    it('should add the fingerprint before the extension', function() {
+      assert.equal(AssetOptimizer.fingerprintLink('css/site.css', 'abc'),
+        'css/site.abc.css');
+      assert.equal(AssetOptimizer.fingerprintLink('/js/app.min.js?v=1#top',
+        'abc'), '/js/app.min.abc.js?v=1#top');
+    });
+  });
+
+  describe('.optimize', function() {
+    var dir;
+
+    beforeEach(function() {
+      dir = path.resolve(sails.config.build.tempDir, 'optimize-test-site');
+      execSync('mkdir -p ' + dir + '/css ' + dir + '/images ' + dir + '/docs');
+      fs.writeFileSync(dir + '/index.html', [
+        '<link rel="stylesheet" href="/site/o/r/css/site.css">',
+        '<img src="images/logo.svg" srcset="images/logo.svg 1x, other.svg 2x">',
+        '<a href="docs/">Docs</a>'
+      ].join('\n'));
+      fs.writeFileSync(dir + '/docs/index.html',
+        '<img src="../images/logo.svg" alt="Logo">');
+      fs.writeFileSync(dir + '/css/site.css',
+        'body {\n  background: url("../images/logo.svg");\n}\n');
+      fs.writeFileSync(dir + '/images/logo.svg', '<svg></svg>');
+      fs.writeFileSync(dir + '/.hidden.js', 'var hidden = true;\n');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should minify the site\'s files and count the bytes saved',
+      function(done) {
+        AssetOptimizer.optimize(dir, { baseurl: '/site/o/r' },
+          function(err, stats) {
+            assert.equal(stats.files, 2);
+            assert(stats.after < stats.before);
+            assert.equal(stats.fingerprinted, 0);
+            assert.equal(fs.readFileSync(dir + '/css/site.css', 'utf8'),
+              'body{background:url(../images/logo.svg)}');
+            assert.equal(fs.readFileSync(dir + '/.hidden.js', 'utf8'),
+              'var hidden = true;\n');
+            done(err);
+          });
+      });
+
+    it('should link pages and stylesheets to fingerprinted assets',
+      function(done) {
+        AssetOptimizer.optimize(dir, {
+          baseurl: '/site/o/r',
+          fingerprint: true
+        }, function(err, stats) {
+          var logo = _.find(fs.readdirSync(dir + '/images'), function(file) {
+                return file !== 'logo.svg';
+              }),
+              stylesheet = _.find(fs.readdirSync(dir + '/css'), function(file) {
+                return file !== 'site.css';
+              }),
+              page = fs.readFileSync(dir + '/index.html', 'utf8');
+
+          assert.equal(stats.fingerprinted, 2);
+          assert(/^logo\.[0-9a-f]{8}\.svg$/.test(logo));
+          assert(/^site\.[0-9a-f]{8}\.css$/.test(stylesheet));
+
+          // Links to other files, and the original assets, are kept
+          assert.notEqual(page.indexOf('href="/site/o/r/css/' + stylesheet +
+            '"'), -1);
+          assert.notEqual(page.indexOf('srcset="images/' + logo + ', ' +
+            'other.svg 2x"'), -1);
+          assert.notEqual(page.indexOf('href="docs/"'), -1);
+          assert.notEqual(fs.readFileSync(dir + '/docs/index.html', 'utf8')
+            .indexOf('src="../images/' + logo + '"'), -1);
+          assert.equal(fs.readFileSync(dir + '/css/' + stylesheet, 'utf8'),
+            'body{background:url(../images/' + logo + ')}');
+          assert(fs.existsSync(dir + '/css/site.css'));
+          done(err);
+        });
+      });
+  });
+
+});
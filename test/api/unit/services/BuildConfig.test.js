@@ -0,0 +1,101 @@
+var assert = require('assert'),
+    fs = require('fs');
+
+describe('BuildConfig Service', function() {
+
+  describe('.parse', function() {
+    it('should parse and normalize a JSON config', function(done) {
+      BuildConfig.parse('federalist.json', JSON.stringify({
+        engine: 'hugo',
+        ignore: 'docs',
+        env: { DEBUG: true }
+      }), function(err, config) {
+        assert.equal(config.engine, 'hugo');
+        assert.deepEqual(config.ignore, ['docs']);
+        assert.deepEqual(config.config, []);
+        assert.deepEqual(config.env, { DEBUG: 'true' });
+        done(err);
+      });
+    });
+
+    it('should parse a YAML config', function(done) {
+      BuildConfig.parse('.federalist.yml', 'output: build\n', function(err, config) {
+        assert.equal(config.output, 'build');
+        done(err);
+      });
+    });
+
+    it('should treat an empty file as no settings', function(done) {
+      BuildConfig.parse('.federalist.yml', '', function(err, config) {
+        assert.deepEqual(config.ignore, []);
+        done(err);
+      });
+    });
+
+    it('should report syntax errors', function(done) {
+      BuildConfig.parse('federalist.json', '{ engine: ', function(err) {
+        assert(/^Unable to parse federalist.json/.test(err.message));
+        done();
+      });
+    });
+
+    it('should report every schema error', function(done) {
+      BuildConfig.parse('federalist.json', JSON.stringify({
+        engine: 'gatsby',
+        script: 'build; rm -rf /',
+        output: '../other-site',
+        ignore: ['/etc'],
+        env: { 'BAD-NAME': 'x', OK: {} },
+        fingerprint: 'yes',
+        extra: true
+      }), function(err) {
+        assert.equal(err.message, 'Invalid federalist.json: ' + [
+          'unknown setting "extra"',
+          'engine must be one of jekyll, hugo, static, node',
+          'script must be the name of an npm script',
+          'output must be a path inside the repository',
+          'ignore must be a path or list of paths inside the repository',
+          'env variable "BAD-NAME" has an invalid name',
+          'env variable "OK" must be a string',
+          'fingerprint must be true or false'
+        ].join('; '));
+        done();
+      });
+    });
+  });
+
+  describe('.read', function() {
+    var dir;
+
+    before(function() {
+      dir = sails.config.build.tempDir + '/build-config-test';
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+    });
+
+    after(function() {
+      BuildConfig.files.forEach(function(file) {
+        if (fs.existsSync(dir + '/' + file)) fs.unlinkSync(dir + '/' + file);
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('should return the defaults without a config file', function(done) {
+      BuildConfig.read(dir, function(err, config) {
+        assert.deepEqual(config, {
+          config: [], ignore: [], env: {}, headers: {}
+        });
+        done(err);
+      });
+    });
+
+    it('should prefer federalist.json', function(done) {
+      fs.writeFileSync(dir + '/federalist.json', '{ "output": "json" }');
+      fs.writeFileSync(dir + '/.federalist.yml', 'output: yaml');
+      BuildConfig.read(dir, function(err, config) {
+        assert.equal(config.output, 'json');
+        done(err);
+      });
+    });
+  });
+
+});
@@ -0,0 +1,131 @@
+var assert = require('assert');
+
+describe('BuildQueue Service', function() {
+
+  function job(id, site, branch) {
+    return {
+      id: id,
+      branch: branch || 'master',
+      site: { id: site, defaultBranch: 'master' }
+    };
+  }
+
+  function order(jobs, concurrency, done) {
+    var started = [],
+        completed = 0,
+        queue = BuildQueue(function(model, next) {
+          started.push(model.id);
+          setImmediate(next);
+        }, concurrency);
+
+    queue.pause();
+    jobs.forEach(function(model) {
+      queue.push(model, function() {
+        if (++completed === jobs.length) done(started);
+      });
+    });
+    queue.resume();
+  }
+
+  describe('.push', function() {
+    it('should run jobs in the order they were added', function(done) {
+      order([job(1, 1), job(2, 1), job(3, 1)], 1, function(started) {
+        assert.deepEqual(started, [1, 2, 3]);
+        done();
+      });
+    });
+
+    it('should run default branch jobs before preview jobs', function(done) {
+      order([job(1, 1, 'preview'), job(2, 2)], 1, function(started) {
+        assert.deepEqual(started, [2, 1]);
+        done();
+      });
+    });
+
+    it('should take turns between sites', function(done) {
+      order([job(1, 1), job(2, 1), job(3, 1), job(4, 2)], 1, function(started) {
+        assert.deepEqual(started, [1, 4, 2, 3]);
+        done();
+      });
+    });
+
+    it('should run jobs from other sites first when concurrent', function(done) {
+      order([job(1, 1), job(2, 1), job(3, 2)], 2, function(started) {
+        assert.deepEqual(started.slice(0, 2), [1, 3]);
+        done();
+      });
+    });
+
+    it('should run one job for each branch at a time', function(done) {
+      var running = [],
+          overlapped = false,
+          completed = 0,
+          queue = BuildQueue(function(model, next) {
+            overlapped = overlapped || running.length > 0;
+            running.push(model.id);
+            setTimeout(function() {
+              running.splice(running.indexOf(model.id), 1);
+              next();
+            }, 5);
+          }, 2);
+
+      [job(1, 1), job(2, 1)].forEach(function(model) {
+        queue.push(model, function() {
+          if (++completed < 2) return;
+          assert(!overlapped);
+          done();
+        });
+      });
+    });
+
+    it('should pass results to the callback', function(done) {
+      var queue = BuildQueue(function(model, next) {
+        next(null, model, 'skipped');
+      });
+      queue.push(job(1, 1), function(err, model, state) {
+        assert.equal(model.id, 1);
+        assert.equal(state, 'skipped');
+        assert.equal(queue.running.length, 0);
+        done();
+      });
+    });
+
+    it('should pass results to the queue callback by default', function(done) {
+      var queue = BuildQueue(function(model, next) {
+        next(null, model);
+      }, 1, function(err, model) {
+        assert.equal(model.id, 1);
+        done();
+      });
+      queue.push(job(1, 1));
+    });
+  });
+
+  describe('.remove', function() {
+    it('should remove matching waiting jobs', function(done) {
+      var queue = BuildQueue(function() {});
+      queue.pause();
+      [job(1, 1), job(2, 1, 'preview'), job(3, 2), job(4, 1)].forEach(function(model) {
+        queue.push(model);
+      });
+      queue.remove({ site: 1, branch: 'master', before: 4 }, function(err, jobs) {
+        assert.deepEqual(_.pluck(jobs, 'id'), [1]);
+        assert.deepEqual(_.pluck(_.pluck(queue.tasks, 'data'), 'id'), [2, 3, 4]);
+        done();
+      });
+    });
+  });
+
+  describe('.runningJobs', function() {
+    it('should find matching running jobs', function(done) {
+      var queue = BuildQueue(function() {}, 2);
+      queue.push(job(1, 1));
+      queue.push(job(2, 2));
+      setImmediate(function() {
+        assert.deepEqual(_.pluck(queue.runningJobs({ site: 2 }), 'id'), [2]);
+        done();
+      });
+    });
+  });
+
+});
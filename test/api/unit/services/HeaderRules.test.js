@@ -0,0 +1,71 @@
+var assert = require('assert');
+
+describe('HeaderRules Service', function() {
+
+  describe('.pattern', function() {
+    it('should match file paths', function() {
+      var assets = HeaderRules.pattern('/assets/*.css'),
+          all = HeaderRules.pattern('/**/*.html');
+
+      assert(assets.test('/assets/app.css'));
+      assert(!assets.test('/assets/css/app.css'));
+      assert(!assets.test('/assets/app.cssx'));
+      assert(all.test('/index.html'));
+      assert(all.test('/about/team/index.html'));
+      assert(!all.test('/index.htm'));
+      assert(HeaderRules.pattern('/a?c.js').test('/abc.js'));
+      assert(HeaderRules.pattern('/a+b.js').test('/a+b.js'));
+    });
+  });
+
+  describe('.match', function() {
+    it('should apply every matching rule, later rules first', function() {
+      assert.deepEqual(HeaderRules.match({
+        '/**': { 'Cache-Control': 'max-age=60', 'X-Frame-Options': 'DENY' },
+        '/assets/**': { 'cache-control': 'max-age=31536000' },
+        '/docs/**': { 'X-Robots-Tag': 'noindex' }
+      }, '/assets/app.js'), {
+        'cache-control': 'max-age=31536000',
+        'x-frame-options': 'DENY'
+      });
+    });
+  });
+
+  describe('.validate', function() {
+    it('should report every invalid rule', function() {
+      assert.deepEqual(HeaderRules.validate({
+        'assets/**': { 'Content-Length': 1, 'Bad Name': 'x' },
+        '/**': 'DENY',
+        '/docs/**': { 'X-Robots-Tag': ['noindex'] }
+      }), [
+        'headers pattern "assets/**" must start with /',
+        'header "Content-Length" can\'t be set',
+        'header "Bad Name" has an invalid name',
+        'headers for "/**" must be an object',
+        'header "X-Robots-Tag" must be a string'
+      ]);
+    });
+  });
+
+  describe('.toS3 and .fromS3', function() {
+    it('should store headers as S3 properties and metadata', function() {
+      var params = HeaderRules.toS3({
+        'cache-control': 'max-age=31536000',
+        'content-security-policy': 'default-src \'self\''
+      });
+
+      assert.deepEqual(params, {
+        CacheControl: 'max-age=31536000',
+        Metadata: { 'header-content-security-policy': 'default-src \'self\'' }
+      });
+      assert.deepEqual(HeaderRules.fromS3({
+        'cache-control': 'max-age=31536000',
+        'x-amz-meta-header-content-security-policy': 'default-src \'self\''
+      }), {
+        'cache-control': 'max-age=31536000',
+        'content-security-policy': 'default-src \'self\''
+      });
+    });
+  });
+
+});
@@ -0,0 +1,93 @@
+var assert = require('assert'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path');
+
+describe('LinkChecker Service', function() {
+
+  describe('.links', function() {
+    it('should find links and asset references', function() {
+      assert.deepEqual(LinkChecker.links([
+        '<link rel="stylesheet" href="/css/site.css">',
+        '<a href=" about/ ">About</a> <a>No link</a>',
+        '<img src="a.png" srcset="a-2x.png 2x, a-3x.png 3x">',
+        '<a href="search?q=a&amp;b">Search</a>',
+        '<script src="js/app.js"></script>'
+      ].join('\n')), [
+        '/css/site.css', 'about/', 'a.png', 'a-2x.png', 'a-3x.png',
+        'search?q=a&b', 'js/app.js'
+      ]);
+    });
+  });
+
+  describe('.problem', function() {
+    var site = {
+          '/index.html': true,
+          '/about/index.html': true,
+          '/css/site.css': true,
+          '/my file.pdf': true
+        },
+        options = {
+          baseurl: '/site/o/r',
+          redirects: [{ from: '/old/' }]
+        };
+
+    function problem(link, page) {
+      return LinkChecker.problem(link, page || '/about/index.html', site,
+        options);
+    }
+
+    it('should skip links that are not internal', function() {
+      assert.strictEqual(problem('https://example.gov/'), undefined);
+      assert.strictEqual(problem('//example.gov/'), undefined);
+      assert.strictEqual(problem('mailto:team@example.gov'), undefined);
+      assert.strictEqual(problem('#top'), undefined);
+    });
+
+    it('should resolve links against the page and base URL', function() {
+      assert.strictEqual(problem('../css/site.css'), '');
+      assert.strictEqual(problem('/site/o/r/about'), '');
+      assert.strictEqual(problem('/site/o/r/?page=2#top'), '');
+      assert.strictEqual(problem('../my%20file.pdf'), '');
+      assert.strictEqual(problem('/site/o/r/old/'), '');
+      assert.strictEqual(problem('../missing.html'), 'not found');
+      assert.strictEqual(problem('/css/site.css'),
+        'not under the site\'s base URL, /site/o/r');
+      assert.strictEqual(problem('%E0%A4%A'), 'invalid URL');
+    });
+  });
+
+  describe('.check', function() {
+    var dir;
+
+    beforeEach(function() {
+      dir = path.resolve(sails.config.build.tempDir, 'links-test');
+      execSync('mkdir -p ' + dir + '/about');
+      fs.writeFileSync(dir + '/index.html',
+        '<a href="about/">About</a> <a href="news/">News</a>');
+      fs.writeFileSync(dir + '/about/index.html',
+        '<a href="../">Home</a> <img src="team.png"> <img src="team.png">');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should report each broken link once per page', function(done) {
+      LinkChecker.check(dir, { baseurl: '' }, function(err, report) {
+        assert.deepEqual(report, {
+          pages: 2,
+          links: 4,
+          broken: 2,
+          problems: [
+            { page: '/about/index.html', link: 'team.png',
+              reason: 'not found' },
+            { page: '/index.html', link: 'news/', reason: 'not found' }
+          ]
+        });
+        done(err);
+      });
+    });
+  });
+
+});
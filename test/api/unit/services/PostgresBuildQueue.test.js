@@ -0,0 +1,88 @@
+var assert = require('assert'),
+    sinon = require('sinon');
+
+describe('PostgresBuildQueue Service', function() {
+
+  var query;
+
+  beforeEach(function() {
+    query = Build.query;
+  });
+
+  afterEach(function() {
+    Build.query = query;
+  });
+
+  describe('.remove', function() {
+    it('should claim matching waiting builds', function(done) {
+      var queue = PostgresBuildQueue(function() {});
+      Build.query = sinon.spy(function(sql, params, cb) {
+        assert(/^UPDATE build SET "lockedBy" = \$1/.test(sql));
+        assert(/site = \$3 AND branch = \$4 AND id < \$5/.test(sql));
+        assert.deepEqual(params.slice(2), [1, 'master', 4]);
+        assert.equal(params[0], queue.instance);
+        cb(null, { rows: [{ id: 3 }] });
+      });
+      queue.remove({ site: 1, branch: 'master', before: 4 }, function(err, jobs) {
+        assert.deepEqual(jobs, [{ id: 3 }]);
+        done();
+      });
+    });
+  });
+
+  describe('.process', function() {
+    it('should not claim builds of a branch with a running build',
+      function() {
+        var queue = PostgresBuildQueue(function() {});
+        Build.query = sinon.spy(function(sql, params, cb) {
+          cb(null, { rows: [] });
+        });
+        queue.paused = false;
+        queue.process();
+        assert(new RegExp('NOT EXISTS \\(SELECT 1 FROM build running\\s+' +
+          'WHERE running.site = build.site AND running.branch = build.branch')
+          .test(Build.query.args[0][0]));
+      });
+  });
+
+  describe('.heartbeat', function() {
+    var engine;
+
+    beforeEach(function() {
+      engine = sails.hooks[sails.config.build.engine];
+      sinon.stub(engine, 'cancel');
+    });
+
+    afterEach(function() {
+      engine.cancel.restore();
+    });
+
+    it('should stop builds that were cancelled elsewhere', function(done) {
+      var queue = PostgresBuildQueue(function() {}),
+          task = { data: { id: 1, state: 'processing' } };
+      queue.running.push(task);
+      Build.query = function(sql, params, cb) {
+        assert.deepEqual(params[1], [1]);
+        cb(null, { rows: [{ id: 1, state: 'cancelled' }] });
+        assert.equal(task.data.state, 'cancelled');
+        assert(engine.cancel.calledWith(task.data));
+        done();
+      };
+      queue.heartbeat();
+    });
+
+    it('should stop builds claimed by another instance', function(done) {
+      var queue = PostgresBuildQueue(function() {}),
+          task = { data: { id: 2, state: 'processing' } };
+      queue.running.push(task);
+      Build.query = function(sql, params, cb) {
+        cb(null, { rows: [] });
+        assert(task.lost);
+        assert(engine.cancel.calledWith(task.data));
+        done();
+      };
+      queue.heartbeat();
+    });
+  });
+
+});
@@ -0,0 +1,62 @@
+var assert = require('assert');
+
+describe('Redirects Service', function() {
+
+  describe('.parse', function() {
+    it('should parse redirects, skipping comments and blank lines',
+      function(done) {
+        Redirects.parse([
+          '# Pages that moved',
+          '/old-page.html  /new-page/',
+          '',
+          '/blog/   https://blog.example.gov/   302  # moved out'
+        ].join('\n'), function(err, redirects) {
+          assert.deepEqual(redirects, [
+            { from: '/old-page.html', to: '/new-page/', status: 301 },
+            { from: '/blog/', to: 'https://blog.example.gov/', status: 302 }
+          ]);
+          done(err);
+        });
+      });
+
+    it('should report every invalid line', function(done) {
+      Redirects.parse([
+        '/ok /fine',
+        'old /new',
+        '/a/../b ftp://example.gov 307',
+        '/only-a-path'
+      ].join('\n'), function(err) {
+        assert.equal(err.message, 'Invalid _redirects: ' + [
+          'line 2: "old" must be a path in the site',
+          'line 3: "/a/../b" must be a path in the site, ' +
+            '"ftp://example.gov" must be a path in the site or a URL, ' +
+            'status must be 301 or 302',
+          'line 4: must be a path, a destination and an optional status'
+        ].join('; '));
+        done();
+      });
+    });
+  });
+
+  describe('.match', function() {
+    it('should find the last redirect for a path', function() {
+      var redirects = [
+        { from: '/a', to: '/b', status: 301 },
+        { from: '/a', to: '/c', status: 302 }
+      ];
+
+      assert.equal(Redirects.match(redirects, '/a').to, '/c');
+      assert(!Redirects.match(redirects, '/a/'));
+    });
+  });
+
+  describe('.location', function() {
+    it('should resolve paths in the site against its base URL', function() {
+      assert.equal(Redirects.location({ to: '/new/' }, '/site/o/r'),
+        '/site/o/r/new/');
+      assert.equal(Redirects.location({ to: 'https://example.gov/' },
+        '/site/o/r'), 'https://example.gov/');
+    });
+  });
+
+});
@@ -0,0 +1,280 @@
+var assert = require('assert'),
+    crypto = require('crypto'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path'),
+    sinon = require('sinon'),
+    AWS = require('aws-sdk');
+
+describe('S3 Service', function() {
+
+  describe('sync', function() {
+    // The bucket's methods are defined for each API version of the client
+    var client = Object.getPrototypeOf(new AWS.S3()),
+        dir;
+
+    function sha1(content) {
+      return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    beforeEach(function() {
+      dir = path.resolve(sails.config.build.tempDir, 's3-test');
+      execSync('mkdir -p ' + dir);
+      fs.writeFileSync(dir + '/same.html', 'same');
+      fs.writeFileSync(dir + '/changed.css', 'new');
+      fs.writeFileSync(dir + '/added.png', 'added');
+
+      sinon.stub(client, 'getObject').yields(null, {
+        Body: new Buffer(JSON.stringify({ files: {
+          'same.html': { hash: sha1('same'), size: 4 },
+          'changed.css': { hash: sha1('old'), size: 3 },
+          'removed.js': { hash: sha1('removed'), size: 7 }
+        } }))
+      });
+      sinon.stub(client, 'putObject').yields(null);
+      sinon.stub(client, 'copyObject').yields(null);
+    });
+
+    afterEach(function() {
+      client.getObject.restore();
+      client.putObject.restore();
+      client.copyObject.restore();
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should only upload files that changed', function(done) {
+      S3({
+        prefix: 'versions/o/r/2',
+        previous: 'versions/o/r/1',
+        directory: dir,
+        baseurl: '/site/o/r'
+      }, function(err, stats) {
+        var puts = _.pluck(_.pluck(client.putObject.args, 0), 'Key'),
+            copy = client.copyObject.args[0][0];
+
+        assert.deepEqual(_.omit(stats, 'bytes'), {
+          added: 1, changed: 1, removed: 1, unchanged: 1
+        });
+        assert(stats.bytes > 0);
+        assert.deepEqual(puts.sort(), [
+          'manifests/versions/o/r/2.json',
+          'versions/o/r/2/added.png',
+          'versions/o/r/2/changed.css'
+        ]);
+        assert.equal(copy.Key, 'versions/o/r/2/same.html');
+        assert(/\/versions\/o\/r\/1\/same\.html$/.test(copy.CopySource));
+        assert.equal(fs.readFileSync(dir + '/changed.css', 'utf8'), 'new');
+        done(err);
+      });
+    });
+
+    it('should upload every file without a previous version', function(done) {
+      S3({
+        prefix: 'versions/o/r/2',
+        directory: dir,
+        baseurl: '/site/o/r'
+      }, function(err, stats) {
+        assert.equal(stats.added, 3);
+        assert(!client.getObject.called);
+        assert(!client.copyObject.called);
+        done(err);
+      });
+    });
+
+    it('should upload files with the headers from their rules',
+      function(done) {
+        S3({
+          prefix: 'versions/o/r/2',
+          previous: 'versions/o/r/1',
+          directory: dir,
+          baseurl: '/site/o/r',
+          rules: {
+            '/**/*.html': { 'X-Frame-Options': 'DENY' },
+            '/*.css': { 'Cache-Control': 'max-age=31536000' }
+          }
+        }, function(err, stats) {
+          var puts = _.indexBy(_.pluck(client.putObject.args, 0), 'Key');
+
+          // Changing the headers of a file uploads it again
+          assert.equal(stats.changed, 2);
+          assert(!client.copyObject.called);
+          assert.deepEqual(puts['versions/o/r/2/same.html'].Metadata,
+            { 'header-x-frame-options': 'DENY' });
+          assert.equal(puts['versions/o/r/2/changed.css'].CacheControl,
+            'max-age=31536000');
+          done(err);
+        });
+      });
+
+    it('should publish redirects as redirect objects', function(done) {
+      S3({
+        prefix: 'versions/o/r/2',
+        directory: dir,
+        baseurl: '/site/o/r',
+        redirects: [
+          { from: '/same.html', location: '/site/o/r/new/', status: 302 },
+          { from: '/old/', location: 'https://example.gov/', status: 301 }
+        ]
+      }, function(err) {
+        var puts = _.pluck(client.putObject.args, 0),
+            redirects = _.filter(puts, 'WebsiteRedirectLocation');
+
+        assert.deepEqual(_.map(redirects, function(params) {
+          return [params.Key, params.WebsiteRedirectLocation,
+            params.Metadata['redirect-status']];
+        }), [
+          ['versions/o/r/2/same.html', '/site/o/r/new/', '302'],
+          ['versions/o/r/2/old/index.html', 'https://example.gov/', '301']
+        ]);
+
+        // Redirects replace files at the same path
+        assert(_.findIndex(puts, { Key: 'versions/o/r/2/same.html' }) <
+          _.findIndex(puts, redirects[0]));
+        done(err);
+      });
+    });
+  });
+
+  describe('activate', function() {
+    var client = Object.getPrototypeOf(new AWS.S3());
+
+    beforeEach(function() {
+      var objects = {
+        'versions/o/r/2/': [
+          { Key: 'versions/o/r/2/index.html', ETag: '"a"', Size: 4 },
+          { Key: 'versions/o/r/2/changed.css', ETag: '"c"', Size: 3 },
+          { Key: 'versions/o/r/2/old/index.html', ETag: '"e"', Size: 0 },
+          { Key: 'versions/o/r/2/docs', ETag: '"e"', Size: 0 },
+          { Key: 'versions/o/r/2/moved.html', ETag: '"e"', Size: 0 },
+          { Key: 'versions/o/r/2/empty.txt', ETag: '"e"', Size: 0 }
+        ],
+        'site/o/r/': [
+          { Key: 'site/o/r/index.html', ETag: '"a"', Size: 4 },
+          { Key: 'site/o/r/changed.css', ETag: '"b"', Size: 3 },
+          { Key: 'site/o/r/old/index.html', ETag: '"e"', Size: 0 },
+          { Key: 'site/o/r/removed.js', ETag: '"d"', Size: 7 }
+        ]
+      };
+
+      sinon.stub(client, 'listObjects', function(params, done) {
+        done(null, { Contents: objects[params.Prefix] || [] });
+      });
+      sinon.stub(client, 'headObject', function(params, done) {
+        done(null, {
+          'versions/o/r/2/docs': {
+            CacheControl: 'max-age=60',
+            WebsiteRedirectLocation: '/site/o/r/docs/',
+            Metadata: {}
+          },
+          'versions/o/r/2/moved.html': {
+            CacheControl: 'max-age=60',
+            WebsiteRedirectLocation: 'https://example.gov/',
+            Metadata: { 'redirect-status': '302' }
+          }
+        }[params.Key] || { Metadata: {} });
+      });
+      sinon.stub(client, 'copyObject').yields(null);
+      sinon.stub(client, 'deleteObjects').yields(null);
+      sinon.stub(client, 'putObject').yields(null);
+      sinon.stub(client, 'getObject').yields(null, {
+        Body: new Buffer(JSON.stringify({ version: 'o/r/1' }))
+      });
+    });
+
+    afterEach(function() {
+      client.listObjects.restore();
+      client.headObject.restore();
+      client.copyObject.restore();
+      client.deleteObjects.restore();
+      client.putObject.restore();
+      client.getObject.restore();
+    });
+
+    it('should copy the version to the prefix before saving the manifest',
+      function(done) {
+        S3.activate('site/o/r', 'o/r/2', function(err) {
+          var copies = _.pluck(_.pluck(client.copyObject.args, 0), 'Key'),
+              removed = client.deleteObjects.args[0][0].Delete.Objects,
+              manifest = _.last(client.putObject.args)[0];
+
+          // Empty objects are copied even when their ETags match, since
+          // they can be redirects
+          assert.deepEqual(copies.sort(), ['site/o/r/changed.css',
+            'site/o/r/empty.txt', 'site/o/r/old/index.html']);
+          assert.deepEqual(removed, [{ Key: 'site/o/r/removed.js' }]);
+          assert.equal(manifest.Key, 'manifests/site/o/r.json');
+          assert.equal(manifest.Body, JSON.stringify({ version: 'o/r/2' }));
+          assert(client.putObject.calledAfter(client.deleteObjects));
+          done(err);
+        });
+      });
+
+    it('should keep the location of directory redirects', function(done) {
+      S3.activate('site/o/r', 'o/r/2', function(err) {
+        assert(client.putObject.calledWith({
+          CacheControl: 'max-age=60',
+          Key: 'site/o/r/docs',
+          WebsiteRedirectLocation: '/site/o/r/docs/',
+          Metadata: {}
+        }));
+        assert(!client.copyObject.calledWithMatch({ Key: 'site/o/r/docs' }));
+        done(err);
+      });
+    });
+
+    it('should keep the location and status of the site\'s redirects',
+      function(done) {
+        S3.activate('site/o/r', 'o/r/2', function(err) {
+          assert(client.putObject.calledWith({
+            CacheControl: 'max-age=60',
+            Key: 'site/o/r/moved.html',
+            WebsiteRedirectLocation: 'https://example.gov/',
+            Metadata: { 'redirect-status': '302' }
+          }));
+          done(err);
+        });
+      });
+
+    it('should serve the new version without reading the manifest',
+      function(done) {
+        // Live versions are cached by the service, so this uses a prefix
+        // that wasn't activated before
+        S3.liveVersion('site/o/cached', function(err, before) {
+          S3.activate('site/o/cached', 'o/r/2', function() {
+            S3.liveVersion('site/o/cached', function(err, version) {
+              assert.equal(before, 'o/r/1');
+              assert.equal(version, 'o/r/2');
+              assert.equal(client.getObject.callCount, 1);
+              done(err);
+            });
+          });
+        });
+      });
+
+    it('should find new prefixes with a live version', function(done) {
+      client.listObjects.restore();
+      sinon.stub(client, 'listObjects').yields(null, { Contents: [
+        { Key: 'manifests/preview/o/r/main.json' }
+      ] });
+
+      S3.livePrefixes('preview/o/r', function(err, before) {
+        client.listObjects.yields(null, { Contents: [
+          { Key: 'manifests/preview/o/r/main.json' },
+          { Key: 'manifests/preview/o/r/feature/x.json' }
+        ] });
+        S3.livePrefixes('preview/o/r', function(err, cached) {
+          S3.activate('preview/o/r/feature/x', 'o/r/3', function() {
+            S3.livePrefixes('preview/o/r', function(err, prefixes) {
+              assert.deepEqual(before, ['preview/o/r/main']);
+              assert.deepEqual(cached, before);
+              assert.deepEqual(prefixes,
+                ['preview/o/r/main', 'preview/o/r/feature/x']);
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  });
+
+});
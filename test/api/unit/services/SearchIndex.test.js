@@ -0,0 +1,69 @@
+var assert = require('assert'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path');
+
+describe('SearchIndex Service', function() {
+
+  describe('.document', function() {
+    it('should find the title, headings and text of a page', function() {
+      assert.deepEqual(SearchIndex.document([
+        '<html><head><title> About &amp; Contact </title>',
+        '<style>h1 { color: red; }</style></head>',
+        '<body><nav><a href="/">Home</a></nav>',
+        '<h1>About <em>us</em></h1><p>We make <b>sites</b>.</p>',
+        '<h2>Contact</h2><p>Email us.</p><script>var x = 1;</script>',
+        '<footer>Public domain</footer></body></html>'
+      ].join(''), '/site/o/r/about/'), {
+        url: '/site/o/r/about/',
+        title: 'About & Contact',
+        headings: 'About us Contact',
+        text: 'About us We make sites. Contact Email us.'
+      });
+    });
+
+    it('should use the first heading for pages without a title', function() {
+      assert.equal(SearchIndex.document('<h2>Overview</h2>', '/').title,
+        'Overview');
+    });
+
+    it('should skip pages that ask not to be indexed', function() {
+      assert.equal(SearchIndex.document('<meta name="robots" ' +
+        'content="noindex, nofollow"><h1>Draft</h1>', '/'), undefined);
+    });
+  });
+
+  describe('.write', function() {
+    var dir;
+
+    beforeEach(function() {
+      dir = path.resolve(sails.config.build.tempDir, 'search-index-test');
+      execSync('mkdir -p ' + dir + '/about ' + dir + '/.hidden');
+      fs.writeFileSync(dir + '/index.html', '<title>Home</title>');
+      fs.writeFileSync(dir + '/about/index.html', '<title>About</title>');
+      fs.writeFileSync(dir + '/404.html', '<title>Not found</title>');
+      fs.writeFileSync(dir + '/.hidden/index.html', '<title>Hidden</title>');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should write an index of the site\'s pages and the widget',
+      function(done) {
+        SearchIndex.write(dir, { baseurl: '/site/o/r' }, function(err, pages) {
+          var index = JSON.parse(fs.readFileSync(dir +
+            '/federalist-search.json', 'utf8'));
+
+          assert.equal(pages, 2);
+          assert.equal(index.ref, 'url');
+          assert.deepEqual(index.fields, ['title', 'headings', 'text']);
+          assert.deepEqual(_.pluck(index.documents, 'url'),
+            ['/site/o/r/about/', '/site/o/r/']);
+          assert(fs.existsSync(dir + '/federalist-search.js'));
+          done(err);
+        });
+      });
+  });
+
+});
@@ -0,0 +1,56 @@
+var assert = require('assert');
+
+describe('SiteConfig Service', function() {
+
+  describe('.parse', function() {
+    it('should parse Jekyll configuration as YAML', function() {
+      var config = SiteConfig.parse('jekyll', 'title: Example\n');
+      assert.equal(config.format, 'yaml');
+      assert.deepEqual(config.settings, { title: 'Example' });
+    });
+
+    it('should treat empty configuration as no settings', function() {
+      assert.deepEqual(SiteConfig.parse('hugo', '  \n').settings, {});
+      assert.deepEqual(SiteConfig.parse('static').settings, {});
+    });
+
+    it('should parse Hugo configuration as TOML or YAML', function() {
+      var toml = SiteConfig.parse('hugo',
+            'title = "Example"\n[params]\ncolor = "blue"\n'),
+          yaml = SiteConfig.parse('hugo', 'title: Example\n');
+
+      assert.equal(toml.format, 'toml');
+      assert.deepEqual(toml.settings, {
+        title: 'Example', params: { color: 'blue' }
+      });
+      assert.equal(yaml.format, 'yaml');
+    });
+
+    it('should reject Jekyll configuration that is not YAML', function() {
+      assert.throws(function() {
+        SiteConfig.parse('jekyll', 'title = "Example"\n');
+      }, /must be a YAML mapping/);
+    });
+
+    it('should reject Hugo configuration that is not TOML', function() {
+      assert.throws(function() {
+        SiteConfig.parse('hugo', 'title = \n');
+      }, /must be TOML or YAML: line 1/);
+    });
+
+    it('should parse and check static settings', function() {
+      assert.deepEqual(SiteConfig.parse('static',
+        'output: dist\nignore: drafts\n').settings,
+        { output: 'dist', ignore: ['drafts'] });
+
+      assert.throws(function() {
+        SiteConfig.parse('static', 'output: ../other\ntitle: Example\n');
+      }, function(err) {
+        return err.message === 'Invalid custom configuration: ' +
+          'unknown setting "title"; ' +
+          'output must be a path inside the repository';
+      });
+    });
+  });
+
+});
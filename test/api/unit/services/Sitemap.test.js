@@ -0,0 +1,90 @@
+var assert = require('assert'),
+    execSync = require('child_process').execSync,
+    fs = require('fs'),
+    path = require('path');
+
+describe('Sitemap Service', function() {
+
+  describe('.siteURL', function() {
+    it('should use the custom domain for the default branch', function() {
+      assert.equal(Sitemap.siteURL({ domain: 'https://example.gov/' }, ''),
+        'https://example.gov');
+      assert.equal(Sitemap.siteURL({ domain: 'example.gov' }, ''),
+        'http://example.gov');
+    });
+
+    it('should use the URL sites are served from otherwise', function() {
+      assert.equal(Sitemap.siteURL({}, '/preview/o/r/draft'),
+        Site.siteRoot() + '/preview/o/r/draft');
+    });
+  });
+
+  describe('.xml', function() {
+    it('should list pages, without index.html or the 404 page', function() {
+      assert.equal(Sitemap.xml([
+        'index.html', 'about/index.html', 'news/a&b.html', '404.html',
+        'old page.html'
+      ], 'https://example.gov'), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        '  <url><loc>https://example.gov/</loc></url>',
+        '  <url><loc>https://example.gov/about/</loc></url>',
+        '  <url><loc>https://example.gov/news/a&amp;b.html</loc></url>',
+        '  <url><loc>https://example.gov/old%20page.html</loc></url>',
+        '</urlset>',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('.write', function() {
+    var dir;
+
+    beforeEach(function() {
+      dir = path.resolve(sails.config.build.tempDir, 'sitemap-test');
+      execSync('mkdir -p ' + dir + '/about ' + dir + '/.hidden');
+      fs.writeFileSync(dir + '/index.html', '');
+      fs.writeFileSync(dir + '/about/index.html', '');
+      fs.writeFileSync(dir + '/about/logo.png', '');
+      fs.writeFileSync(dir + '/.hidden/index.html', '');
+      fs.writeFileSync(dir + '/robots.txt', 'User-agent: *\n');
+    });
+
+    afterEach(function() {
+      execSync('rm -rf ' + dir);
+    });
+
+    it('should write a sitemap and keep the site\'s robots.txt',
+      function(done) {
+        Sitemap.write(dir, { url: 'https://example.gov' }, function(err) {
+          var sitemap = fs.readFileSync(dir + '/sitemap.xml', 'utf8');
+
+          assert.equal(sitemap.match(/<loc>/g).length, 2);
+          assert(/https:\/\/example\.gov\/about\//.test(sitemap));
+          assert.equal(fs.readFileSync(dir + '/robots.txt', 'utf8'),
+            'User-agent: *\n');
+          done(err);
+        });
+      });
+
+    it('should keep previews from being indexed', function(done) {
+      Sitemap.write(dir, {
+        url: 'https://example.gov/preview/o/r/draft',
+        preview: true
+      }, function(err) {
+        assert.equal(fs.readFileSync(dir + '/robots.txt', 'utf8'),
+          'User-agent: *\nDisallow: /\n');
+        done(err);
+      });
+    });
+  });
+
+  describe('.robotsTxt', function() {
+    it('should point to the sitemap for the default branch', function() {
+      assert.equal(Sitemap.robotsTxt({ url: 'https://example.gov' }),
+        'User-agent: *\nDisallow:\n\nSitemap: ' +
+        'https://example.gov/sitemap.xml\n');
+    });
+  });
+
+});